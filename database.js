@@ -0,0 +1,218 @@
+// database.js
+
+/**
+ * Creates the tables of the bot, if they don't exist yet. XP is stored as TEXT to reliably
+ * handle BigInt, and every row is scoped by the Discord guild it belongs to.
+ * Columns added after a table was first released reach older database files through
+ * the migrations in index.js.
+ * @param {Database} db - A better-sqlite3 database.
+ */
+function createTables(db) {
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS users (
+            guild_id TEXT NOT NULL,
+            id TEXT NOT NULL,
+            xp TEXT DEFAULT '0',  -- Changed to TEXT to safely store large numbers as BigInt
+            crates INTEGER DEFAULT 0,
+            current_perk_id INTEGER DEFAULT NULL,  -- References perks.id
+            perk_equipped_at INTEGER DEFAULT NULL,
+            perk_expires_at INTEGER DEFAULT NULL,  -- Set while a time-limited perk is equipped
+            highest_level INTEGER DEFAULT 0,       -- Levels up to this one have been announced and rewarded
+            crates_opened INTEGER DEFAULT 0,
+            PRIMARY KEY (guild_id, id)
+        );
+
+        -- The perk catalog of each guild. Rows are referenced by id, so renaming a perk
+        -- keeps its obtained counter and everyone who has it equipped.
+        CREATE TABLE IF NOT EXISTS perks (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            guild_id TEXT NOT NULL,
+            name TEXT NOT NULL,
+            weight REAL NOT NULL DEFAULT 1,
+            effect_type TEXT NOT NULL,
+            effect_value REAL DEFAULT NULL,  -- xp_boost: bonus fraction (0.05 = +5%)
+            role_id TEXT DEFAULT NULL,       -- role: the role to grant
+            duration_ms INTEGER DEFAULT NULL, -- How long the perk lasts once equipped (NULL = forever)
+            rarity TEXT NOT NULL DEFAULT 'common',  -- A key of RARITY_TIERS
+            enabled INTEGER NOT NULL DEFAULT 1,
+            obtained INTEGER DEFAULT 0,
+            UNIQUE (guild_id, name)
+        );
+        
+        CREATE TABLE IF NOT EXISTS settings (
+            guild_id TEXT NOT NULL,
+            key TEXT NOT NULL,
+            value TEXT,
+            PRIMARY KEY (guild_id, key)
+        );
+
+        -- Perks each member owns. The equipped perk (users.current_perk_id) is one of these.
+        CREATE TABLE IF NOT EXISTS inventory (
+            guild_id TEXT NOT NULL,
+            user_id TEXT NOT NULL,
+            perk_id INTEGER NOT NULL,  -- References perks.id
+            quantity INTEGER NOT NULL DEFAULT 1,
+            acquired_at INTEGER NOT NULL,  -- When the first copy was obtained
+            PRIMARY KEY (guild_id, user_id, perk_id)
+        );
+
+        -- What members get when they first reach a level. One reward of each type per level.
+        CREATE TABLE IF NOT EXISTS level_rewards (
+            guild_id TEXT NOT NULL,
+            level INTEGER NOT NULL,
+            reward_type TEXT NOT NULL,  -- role | crates | xp
+            value TEXT NOT NULL,        -- The role ID, or the amount of crates/XP
+            PRIMARY KEY (guild_id, level, reward_type)
+        );
+
+        -- XP earned per week and month, next to the lifetime total in users.xp.
+        CREATE TABLE IF NOT EXISTS period_xp (
+            guild_id TEXT NOT NULL,
+            user_id TEXT NOT NULL,
+            period_type TEXT NOT NULL,  -- weekly | monthly
+            period_key TEXT NOT NULL,   -- e.g. 2026-W07 or 2026-02 (UTC)
+            xp TEXT DEFAULT '0',
+            PRIMARY KEY (guild_id, period_type, period_key, user_id)
+        );
+
+        -- Final standings of finished periods, for /halloffame.
+        CREATE TABLE IF NOT EXISTS hall_of_fame (
+            guild_id TEXT NOT NULL,
+            period_type TEXT NOT NULL,
+            period_key TEXT NOT NULL,
+            position INTEGER NOT NULL,
+            user_id TEXT NOT NULL,
+            xp TEXT NOT NULL,
+            ended_at INTEGER NOT NULL,
+            PRIMARY KEY (guild_id, period_type, period_key, position)
+        );
+
+        -- How often each member tripped the message XP filters, for /xpfilter report.
+        CREATE TABLE IF NOT EXISTS xp_filter_hits (
+            guild_id TEXT NOT NULL,
+            user_id TEXT NOT NULL,
+            reason TEXT NOT NULL,
+            hits INTEGER NOT NULL DEFAULT 0,
+            last_hit_at INTEGER NOT NULL,
+            PRIMARY KEY (guild_id, user_id, reason)
+        );
+
+        -- Crates each member opened in a row without a perk of the guild's pity rarity.
+        CREATE TABLE IF NOT EXISTS crate_pity (
+            guild_id TEXT NOT NULL,
+            user_id TEXT NOT NULL,
+            misses INTEGER NOT NULL DEFAULT 0,
+            PRIMARY KEY (guild_id, user_id)
+        );
+
+        -- /daily claims. The day is a calendar date in the guild's timezone.
+        CREATE TABLE IF NOT EXISTS daily_claims (
+            guild_id TEXT NOT NULL,
+            user_id TEXT NOT NULL,
+            last_day TEXT NOT NULL,       -- e.g. 2026-02-14
+            streak INTEGER NOT NULL DEFAULT 0,
+            best_streak INTEGER NOT NULL DEFAULT 0,
+            grace_used INTEGER NOT NULL DEFAULT 0,  -- Whether the current streak already survived a missed day
+            total_claims INTEGER NOT NULL DEFAULT 0,
+            last_claimed_at INTEGER NOT NULL,
+            PRIMARY KEY (guild_id, user_id)
+        );
+
+        -- Members earning voice XP. XP is awarded per whole minute up to credited_until,
+        -- so a restart neither loses nor repeats time.
+        CREATE TABLE IF NOT EXISTS voice_sessions (
+            guild_id TEXT NOT NULL,
+            user_id TEXT NOT NULL,
+            channel_id TEXT NOT NULL,
+            credited_until INTEGER NOT NULL,  -- XP has been awarded for the time before this
+            last_seen_at INTEGER NOT NULL,    -- When the bot last saw the member earning
+            PRIMARY KEY (guild_id, user_id)
+        );
+
+        -- XP multipliers of channels (or categories) and roles. A 1x multiplier is stored as no row.
+        CREATE TABLE IF NOT EXISTS xp_multipliers (
+            guild_id TEXT NOT NULL,
+            target_type TEXT NOT NULL,  -- channel | role
+            target_id TEXT NOT NULL,
+            multiplier REAL NOT NULL,
+            PRIMARY KEY (guild_id, target_type, target_id)
+        );
+
+        -- Timed server-wide XP events (/event). Kept after they end as their history.
+        CREATE TABLE IF NOT EXISTS xp_events (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            guild_id TEXT NOT NULL,
+            multiplier REAL NOT NULL,
+            channel_id TEXT DEFAULT NULL,  -- Where the start and end are announced
+            started_by TEXT NOT NULL,
+            started_at INTEGER NOT NULL,
+            ends_at INTEGER NOT NULL,
+            ended_at INTEGER DEFAULT NULL  -- Set when the end was announced or the event was stopped early
+        );
+
+        -- Trade offers between members and how they ended. Kept as the audit trail of trades.
+        CREATE TABLE IF NOT EXISTS trades (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            guild_id TEXT NOT NULL,
+            from_id TEXT NOT NULL,
+            to_id TEXT NOT NULL,
+            offered TEXT NOT NULL,    -- JSON: { xp, crates, perkId } given by from_id
+            requested TEXT NOT NULL,  -- JSON: the same, given by to_id
+            status TEXT NOT NULL,     -- pending | accepted | declined | withdrawn | failed (expired is derived)
+            created_at INTEGER NOT NULL,
+            expires_at INTEGER NOT NULL,
+            closed_at INTEGER DEFAULT NULL
+        );
+
+        -- Market listings. Listed items are held here until sold, cancelled or expired,
+        -- and closed listings are kept as the audit trail of the market.
+        CREATE TABLE IF NOT EXISTS market_listings (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            guild_id TEXT NOT NULL,
+            seller_id TEXT NOT NULL,
+            items TEXT NOT NULL,  -- JSON: { xp, crates, perkId }
+            price TEXT NOT NULL,  -- XP, stored as TEXT like users.xp
+            status TEXT NOT NULL, -- active | sold | cancelled | expired
+            buyer_id TEXT DEFAULT NULL,
+            created_at INTEGER NOT NULL,
+            expires_at INTEGER NOT NULL,
+            closed_at INTEGER DEFAULT NULL
+        );
+
+        -- Actions waiting for a button press. Buttons only carry the token.
+        CREATE TABLE IF NOT EXISTS pending_actions (
+            token TEXT PRIMARY KEY,
+            guild_id TEXT NOT NULL,
+            user_id TEXT NOT NULL,  -- Only this user may press the buttons
+            type TEXT NOT NULL,
+            payload TEXT NOT NULL DEFAULT '{}',  -- JSON: what was requested or rolled
+            expires_at INTEGER NOT NULL
+        );
+
+        -- What moderators did with /xpadmin, /crateadmin and /perkadmin equip|strip, and why.
+        CREATE TABLE IF NOT EXISTS mod_audit_log (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            guild_id TEXT NOT NULL,
+            moderator_id TEXT NOT NULL,
+            target_id TEXT NOT NULL,
+            action TEXT NOT NULL,   -- A key of MOD_AUDIT_ACTIONS
+            details TEXT NOT NULL,  -- What changed, for display
+            reason TEXT NOT NULL,
+            created_at INTEGER NOT NULL
+        );
+
+        -- Economy ledger: one row per balance change per user. Never wiped by resets.
+        CREATE TABLE IF NOT EXISTS transactions (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            guild_id TEXT,
+            user_id TEXT NOT NULL,
+            type TEXT NOT NULL,
+            xp_change TEXT DEFAULT '0',  -- Signed BigInt stored as TEXT, like users.xp
+            crate_change INTEGER DEFAULT 0,
+            counterparty_id TEXT DEFAULT NULL,
+            created_at INTEGER NOT NULL
+        );
+    `);
+}
+
+module.exports = { createTables };
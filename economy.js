@@ -0,0 +1,649 @@
+// economy.js
+// Balances, the ledger, perk inventories, crates, trades and the market. Every mutation that
+// checks a balance runs as one better-sqlite3 transaction, so overlapping interactions can't
+// spend the same XP, crate or perk twice. Kept apart from the Discord client so it can be
+// tested against an in-memory database (see test/).
+
+// Rarity tiers of perks, from most common to rarest. Drop chances still come from the
+// weights; the tier is what the pity system and the crate images go by.
+const RARITY_TIERS = {
+    common:    { label: 'Common',    rank: 0, color: '#B9BBBE' },
+    uncommon:  { label: 'Uncommon',  rank: 1, color: '#57F287' },
+    rare:      { label: 'Rare',      rank: 2, color: '#3498DB' },
+    epic:      { label: 'Epic',      rank: 3, color: '#9B59B6' },
+    legendary: { label: 'Legendary', rank: 4, color: '#F1C40F' },
+};
+
+/**
+ * Gets the rarity tier of a perk. Unknown tiers count as common.
+ * @param {object} perk - A perks row.
+ * @returns {object} One of RARITY_TIERS.
+ */
+function getRarity(perk) {
+    return RARITY_TIERS[perk.rarity] || RARITY_TIERS.common;
+}
+
+/**
+ * Picks one of the given perks at random, by weight.
+ * @param {object[]} perks - perks rows with a weight above 0.
+ * @returns {object}
+ */
+function rollWeighted(perks) {
+    const totalWeight = perks.reduce((sum, perk) => sum + perk.weight, 0);
+    let rand = Math.random() * totalWeight;
+
+    // Floating point leftovers fall through to the last perk
+    for (const perk of perks) {
+        if (rand < perk.weight) return perk;
+        rand -= perk.weight;
+    }
+    return perks[perks.length - 1];
+}
+
+/**
+ * Creates the economy helpers for a database whose tables exist (see createTables in database.js).
+ * @param {Database} db - A better-sqlite3 database.
+ * @param {object} options 
+ * @param {(guildId: string) => {threshold: number, minRarity: string}} options.getPitySettings - 
+ *   The crate pity settings of a guild; threshold is 0 when pity is off.
+ * @returns {object} The helpers below, by name.
+ */
+function createEconomy(db, { getPitySettings }) {
+    // --- Balances ---
+
+    /**
+     * Retrieves user data, ensuring XP is handled as BigInt for safety.
+     * IMPORTANT: This function ensures a user exists in the database.
+     * @param {string} guildId 
+     * @param {string} userId 
+     * @returns {{xp: BigInt, crates: number, current_perk_id: number | null}}
+     */
+    function getUserData(guildId, userId) {
+        const row = db.prepare('SELECT xp, crates, current_perk_id, perk_expires_at FROM users WHERE guild_id = ? AND id = ?').get(guildId, userId);
+        
+        if (!row) {
+            db.prepare('INSERT OR IGNORE INTO users (guild_id, id, xp, crates, current_perk_id) VALUES (?, ?, ?, 0, NULL)').run(guildId, userId, '0');
+            // Now fetch the data after insertion to get the default values
+            const newRow = db.prepare('SELECT xp, crates, current_perk_id, perk_expires_at FROM users WHERE guild_id = ? AND id = ?').get(guildId, userId);
+            const xpAsBigInt = BigInt(newRow.xp || '0');
+            return { 
+                ...newRow, 
+                xp: xpAsBigInt 
+            };
+        }
+        
+        // XP is stored as TEXT, convert it to BigInt in JS
+        const xpAsBigInt = BigInt(row.xp || '0');
+        
+        return { 
+            ...row, 
+            xp: xpAsBigInt // Return XP as BigInt
+        };
+    }
+
+    /**
+     * Gets just the user's XP as BigInt.
+     * NOTE: This function does NOT create a user if they don't exist.
+     * @param {string} guildId 
+     * @param {string} userId 
+     * @returns {BigInt}
+     */
+    function getUserXP(guildId, userId) {
+        const row = db.prepare('SELECT xp FROM users WHERE guild_id = ? AND id = ?').get(guildId, userId);
+        return row ? BigInt(row.xp || '0') : 0n;
+    }
+
+    /**
+     * Adds or subtracts XP, performing all math with BigInt and storing as TEXT.
+     * NOTE: This function assumes the user already exists in the database.
+     * @param {string} guildId 
+     * @param {string} userId 
+     * @param {number} amount 
+     */
+    function addXP(guildId, userId, amount) {
+        // 1. Get current XP as BigInt
+        const currentXP = getUserXP(guildId, userId);
+        // 2. Convert the incoming amount to BigInt
+        const amountBigInt = BigInt(amount);
+        // 3. Perform the calculation with BigInt
+        const newXP = currentXP + amountBigInt;
+        
+        // 4. Store the result back as a TEXT string
+        // This will only work if the user row exists. For new users, getUserData must be called first.
+        db.prepare('UPDATE users SET xp = ? WHERE guild_id = ? AND id = ?').run(newXP.toString(), guildId, userId);
+    }
+
+    function addCrates(guildId, userId, amount) {
+        db.prepare('UPDATE users SET crates = crates + ? WHERE guild_id = ? AND id = ?').run(amount, guildId, userId);
+    }
+
+    // --- Economy Ledger ---
+
+    /**
+     * Writes one balance change to the transactions ledger.
+     * @param {string} guildId 
+     * @param {string} userId 
+     * @param {string} type - A key of TRANSACTION_TYPES (index.js).
+     * @param {{xp?: BigInt|number, crates?: number, counterpartyId?: string}} change 
+     */
+    function recordTransaction(guildId, userId, type, { xp = 0n, crates = 0, counterpartyId = null } = {}) {
+        db.prepare(`
+            INSERT INTO transactions (guild_id, user_id, type, xp_change, crate_change, counterparty_id, created_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `).run(guildId, userId, type, BigInt(xp).toString(), crates, counterpartyId, Date.now());
+    }
+
+    /**
+     * Moves XP from one user to another and records both sides in the ledger.
+     * Runs as a single transaction so the balance check and the transfer can't interleave.
+     * @param {string} guildId 
+     * @param {string} fromId 
+     * @param {string} toId 
+     * @param {BigInt} amount 
+     * @returns {boolean} false if the sender doesn't have enough XP.
+     */
+    const transferXP = db.transaction((guildId, fromId, toId, amount) => {
+        if (getUserXP(guildId, fromId) < amount) return false;
+
+        // Ensures the recipient user is initialized in the database if they are brand new.
+        getUserData(guildId, toId);
+        addXP(guildId, fromId, -amount);
+        addXP(guildId, toId, amount);
+
+        recordTransaction(guildId, fromId, 'transfer_out', { xp: -amount, counterpartyId: toId });
+        recordTransaction(guildId, toId, 'transfer_in', { xp: amount, counterpartyId: fromId });
+        return true;
+    });
+
+    /**
+     * Spends XP on crates and records the purchase in the ledger.
+     * Runs as a single transaction so two confirmations can't both spend the same XP.
+     * @param {string} guildId 
+     * @param {string} userId 
+     * @param {number} amount - Number of crates.
+     * @param {BigInt} cost - The total price, as confirmed by the user.
+     * @returns {boolean} false if the user doesn't have enough XP.
+     */
+    const purchaseCrates = db.transaction((guildId, userId, amount, cost) => {
+        if (getUserXP(guildId, userId) < cost) return false;
+
+        addXP(guildId, userId, -cost);
+        addCrates(guildId, userId, amount);
+        recordTransaction(guildId, userId, 'crate_purchase', { xp: -cost, crates: amount });
+        return true;
+    });
+
+    // --- Perk Catalog ---
+
+    /**
+     * Gets one perk of a guild's catalog by id.
+     * @param {string} guildId 
+     * @param {number} perkId 
+     * @returns {object | undefined} The perks row.
+     */
+    function getPerk(guildId, perkId) {
+        return db.prepare('SELECT * FROM perks WHERE guild_id = ? AND id = ?').get(guildId, perkId);
+    }
+
+    /**
+     * Lists a guild's perk catalog, most common first.
+     * @param {string} guildId 
+     * @param {{enabledOnly?: boolean}} [options] 
+     * @returns {object[]} The perks rows.
+     */
+    function getPerkCatalog(guildId, { enabledOnly = false } = {}) {
+        return db.prepare(`
+            SELECT * FROM perks WHERE guild_id = ? ${enabledOnly ? 'AND enabled = 1' : ''} ORDER BY weight DESC, name
+        `).all(guildId);
+    }
+
+    // --- Perk Inventory ---
+
+    /**
+     * Adds copies of a perk to a member's inventory.
+     * @param {string} guildId 
+     * @param {string} userId 
+     * @param {number} perkId 
+     * @param {number} [quantity] 
+     */
+    function addToInventory(guildId, userId, perkId, quantity = 1) {
+        db.prepare(`
+            INSERT INTO inventory (guild_id, user_id, perk_id, quantity, acquired_at) VALUES (?, ?, ?, ?, ?)
+            ON CONFLICT (guild_id, user_id, perk_id) DO UPDATE SET quantity = quantity + excluded.quantity
+        `).run(guildId, userId, perkId, quantity, Date.now());
+    }
+
+    /**
+     * Lists the perks a member owns, joined with their catalog data.
+     * @param {string} guildId 
+     * @param {string} userId 
+     * @returns {object[]} perks rows with an extra `quantity` column.
+     */
+    function getInventory(guildId, userId) {
+        return db.prepare(`
+            SELECT perks.*, inventory.quantity FROM inventory
+            JOIN perks ON perks.id = inventory.perk_id
+            WHERE inventory.guild_id = ? AND inventory.user_id = ? AND inventory.quantity > 0
+            ORDER BY perks.weight ASC, perks.name
+        `).all(guildId, userId);
+    }
+
+    /**
+     * Takes one copy of a perk out of a member's inventory.
+     * @param {string} guildId 
+     * @param {string} userId 
+     * @param {number} perkId 
+     */
+    function removeFromInventory(guildId, userId, perkId) {
+        db.prepare('UPDATE inventory SET quantity = quantity - 1 WHERE guild_id = ? AND user_id = ? AND perk_id = ?').run(guildId, userId, perkId);
+        db.prepare('DELETE FROM inventory WHERE guild_id = ? AND user_id = ? AND perk_id = ? AND quantity <= 0').run(guildId, userId, perkId);
+    }
+
+    function ownsPerk(guildId, userId, perkId) {
+        const row = db.prepare('SELECT quantity FROM inventory WHERE guild_id = ? AND user_id = ? AND perk_id = ?').get(guildId, userId, perkId);
+        return !!row && row.quantity > 0;
+    }
+
+    /**
+     * Takes a perk's role away from a member, if the perk grants one and they have it.
+     * @param {GuildMember} member 
+     * @param {object | null} perk - perks row.
+     * @returns {Promise<void>}
+     */
+    async function removePerkRole(member, perk) {
+        if (!perk || perk.effect_type !== 'role' || !perk.role_id) return;
+        try {
+            if (member.roles.cache.has(perk.role_id)) {
+                await member.roles.remove(perk.role_id);
+            }
+        } catch (error) {
+            console.error(`Failed to remove old role ${perk.role_id}:`, error);
+        }
+    }
+
+    /**
+     * Removes the user's currently active perk (and associated role, if applicable).
+     * @param {GuildMember} member - The Discord guild member object.
+     * @returns {Promise<void>}
+     */
+    async function removeUserPerk(member) {
+        const guildId = member.guild.id;
+        const { current_perk_id } = getUserData(guildId, member.id);
+        if (!current_perk_id) return;
+
+        await removePerkRole(member, getPerk(guildId, current_perk_id));
+        
+        db.prepare(`
+            UPDATE users SET current_perk_id = NULL, perk_equipped_at = NULL, perk_expires_at = NULL WHERE guild_id = ? AND id = ?
+        `).run(guildId, member.id);
+    }
+
+    /**
+     * Switches the equipped perk in the database, checking ownership in the same transaction.
+     * A time-limited perk uses up one copy from the inventory.
+     * @param {string} guildId 
+     * @param {string} userId 
+     * @param {number} perkId 
+     * @returns {{previousPerkId: number | null} | null} null if the user doesn't own the perk.
+     */
+    const equipPerk = db.transaction((guildId, userId, perkId) => {
+        if (!ownsPerk(guildId, userId, perkId)) return null;
+
+        const { current_perk_id: previousPerkId } = getUserData(guildId, userId);
+        const perk = getPerk(guildId, perkId);
+        const now = Date.now();
+        const expiresAt = perk.duration_ms ? now + perk.duration_ms : null;
+        db.prepare(`
+            UPDATE users SET current_perk_id = ?, perk_equipped_at = ?, perk_expires_at = ? WHERE guild_id = ? AND id = ?
+        `).run(perkId, now, expiresAt, guildId, userId);
+        if (expiresAt) {
+            removeFromInventory(guildId, userId, perkId);
+        }
+        return { previousPerkId };
+    });
+
+    /**
+     * Equips a perk from the user's inventory, managing role changes and DB state.
+     * The previously equipped perk stays in the inventory, unless it was time-limited:
+     * equipping one of those uses up a copy, so its time can't be reset by re-equipping.
+     * @param {GuildMember} member - The Discord guild member object.
+     * @param {number} perkId - The catalog id of the new perk to equip.
+     * @returns {Promise<boolean>} false if the user doesn't own the perk.
+     */
+    async function equipNewPerk(member, perkId) {
+        const guildId = member.guild.id;
+        // The database is updated before any role change, so two equips can't both use the same copy
+        const equipped = equipPerk(guildId, member.id, perkId);
+        if (!equipped) return false;
+
+        const newPerk = getPerk(guildId, perkId);
+        if (equipped.previousPerkId && equipped.previousPerkId !== perkId) {
+            await removePerkRole(member, getPerk(guildId, equipped.previousPerkId));
+        }
+
+        if (newPerk.effect_type === 'role') {
+            if (!newPerk.role_id) {
+                console.error(`Perk '${newPerk.name}' of guild ${guildId} has no role set. Use /perkadmin edit.`);
+                return true;
+            }
+            try {
+                await member.roles.add(newPerk.role_id);
+            } catch (error) {
+                console.error(`Failed to grant new role ${newPerk.role_id}:`, error);
+            }
+        }
+        return true;
+    }
+
+    // --- Crates ---
+
+    /**
+     * Gets how many crates a member opened in a row without a perk of the pity rarity.
+     * @param {string} guildId 
+     * @param {string} userId 
+     * @returns {number}
+     */
+    function getPityMisses(guildId, userId) {
+        const row = db.prepare('SELECT misses FROM crate_pity WHERE guild_id = ? AND user_id = ?').get(guildId, userId);
+        return row ? row.misses : 0;
+    }
+
+    /**
+     * Rolls a perk for a member from the enabled part of a guild's catalog and counts it as obtained.
+     * After pity_threshold rolls in a row below pity_min_rarity, the next roll only picks from
+     * perks of that rarity or better. The member's pity counter is updated either way.
+     * @param {string} guildId 
+     * @param {string} userId 
+     * @returns {object | null} The perks row, or null if no perk can currently drop.
+     */
+    function getRandomPerk(guildId, userId) {
+        const perks = getPerkCatalog(guildId, { enabledOnly: true }).filter(perk => perk.weight > 0);
+        if (perks.length === 0) return null;
+
+        const { threshold, minRarity } = getPitySettings(guildId);
+        const isRareEnough = perk => getRarity(perk).rank >= RARITY_TIERS[minRarity].rank;
+        const misses = getPityMisses(guildId, userId);
+        const pityPool = perks.filter(isRareEnough);
+        // Nothing to guarantee if no enabled perk is rare enough
+        const usePity = threshold > 0 && misses >= threshold && pityPool.length > 0;
+
+        const rolled = rollWeighted(usePity ? pityPool : perks);
+
+        db.prepare(`
+            INSERT INTO crate_pity (guild_id, user_id, misses) VALUES (?, ?, ?)
+            ON CONFLICT (guild_id, user_id) DO UPDATE SET misses = excluded.misses
+        `).run(guildId, userId, isRareEnough(rolled) ? 0 : misses + 1);
+        db.prepare('UPDATE perks SET obtained = obtained + 1 WHERE id = ?').run(rolled.id);
+        return rolled;
+    }
+
+    /**
+     * Opens some of a user's crates: rolls a perk for each, adds them to their inventory and
+     * records the open in the ledger. The crate check, the rolls and the bookkeeping are one
+     * transaction, so a crate can't be opened twice and a failed open doesn't count perks as obtained.
+     * @param {string} guildId 
+     * @param {string} userId 
+     * @param {number} [amount] - Number of crates to open.
+     * @returns {{perks: object[], reason?: 'no_crates' | 'no_perks', crates: number, cratesLeft?: number}} 
+     *   perks holds one perks row per crate, in the order they were rolled.
+     */
+    const openCrates = db.transaction((guildId, userId, amount = 1) => {
+        const { crates } = getUserData(guildId, userId);
+        if (crates < amount) return { perks: [], reason: 'no_crates', crates };
+
+        const perks = [];
+        for (let i = 0; i < amount; i++) {
+            const perk = getRandomPerk(guildId, userId);
+            // The catalog can't change mid-transaction, so this can only happen on the first roll
+            if (!perk) return { perks: [], reason: 'no_perks', crates };
+            perks.push(perk);
+            addToInventory(guildId, userId, perk.id);
+        }
+
+        addCrates(guildId, userId, -amount);
+        db.prepare('UPDATE users SET crates_opened = crates_opened + ? WHERE guild_id = ? AND id = ?').run(amount, guildId, userId);
+        recordTransaction(guildId, userId, 'crate_open', { crates: -amount });
+        return { perks, crates, cratesLeft: crates - amount };
+    });
+
+    // --- Trading & Market ---
+
+    /**
+     * Counts the copies of a perk a member can give away. The copy of an equipped permanent
+     * perk is in use, so it can't leave the inventory.
+     * @param {string} guildId 
+     * @param {string} userId 
+     * @param {number} perkId 
+     * @returns {number}
+     */
+    function getTradablePerkQuantity(guildId, userId, perkId) {
+        const row = db.prepare('SELECT quantity FROM inventory WHERE guild_id = ? AND user_id = ? AND perk_id = ?').get(guildId, userId, perkId);
+        const { current_perk_id, perk_expires_at } = getUserData(guildId, userId);
+        const inUse = current_perk_id === perkId && !perk_expires_at ? 1 : 0;
+        return (row ? row.quantity : 0) - inUse;
+    }
+
+    /**
+     * Checks that a member holds everything on their side of a trade.
+     * @param {string} guildId 
+     * @param {string} userId 
+     * @param {{xp: string, crates: number, perkId: number | null}} items 
+     * @returns {string | null} What is missing, or null if they hold it all.
+     */
+    function findMissingTradeItems(guildId, userId, items) {
+        const userData = getUserData(guildId, userId);
+        if (userData.xp < BigInt(items.xp)) return 'enough XP';
+        if (userData.crates < items.crates) return 'enough crates';
+        if (items.perkId && getTradablePerkQuantity(guildId, userId, items.perkId) < 1) {
+            return 'a spare copy of the perk (an equipped perk has to be unequipped first)';
+        }
+        return null;
+    }
+
+    /**
+     * Takes items away from a member, or gives them (sign = 1). Doesn't check balances and
+     * doesn't write the ledger; callers do both inside their transaction.
+     * @param {string} guildId 
+     * @param {string} userId 
+     * @param {{xp: string, crates: number, perkId: number | null}} items 
+     * @param {1 | -1} sign 
+     */
+    function applyTradeItems(guildId, userId, items, sign) {
+        getUserData(guildId, userId);
+        const xp = BigInt(items.xp);
+        if (xp !== 0n) addXP(guildId, userId, xp * BigInt(sign));
+        if (items.crates !== 0) addCrates(guildId, userId, items.crates * sign);
+        if (items.perkId) {
+            if (sign > 0) addToInventory(guildId, userId, items.perkId);
+            else removeFromInventory(guildId, userId, items.perkId);
+        }
+    }
+
+    /**
+     * Gets a trade, with offers past their expiry reported as expired.
+     * @param {string} guildId 
+     * @param {number} tradeId 
+     * @returns {object | undefined} The trades row with parsed `offered` and `requested` items.
+     */
+    function getTrade(guildId, tradeId) {
+        const trade = db.prepare('SELECT * FROM trades WHERE guild_id = ? AND id = ?').get(guildId, tradeId);
+        if (!trade) return undefined;
+        return {
+            ...trade,
+            status: trade.status === 'pending' && trade.expires_at <= Date.now() ? 'expired' : trade.status,
+            offered: JSON.parse(trade.offered),
+            requested: JSON.parse(trade.requested),
+        };
+    }
+
+    /**
+     * Carries out an accepted trade: checks both members still hold their side, swaps the
+     * items and writes the ledger, all in one transaction.
+     * @param {string} guildId 
+     * @param {number} tradeId 
+     * @returns {{status: 'accepted'} | {status: 'failed', reason: string} | {status: string}} 
+     *   Any other status means the trade was already closed.
+     */
+    const acceptTrade = db.transaction((guildId, tradeId) => {
+        const trade = getTrade(guildId, tradeId);
+        if (trade.status !== 'pending') return { status: trade.status };
+
+        const close = status => db.prepare('UPDATE trades SET status = ?, closed_at = ? WHERE id = ?').run(status, Date.now(), tradeId);
+        const offererMissing = findMissingTradeItems(guildId, trade.from_id, trade.offered);
+        const recipientMissing = findMissingTradeItems(guildId, trade.to_id, trade.requested);
+        if (offererMissing || recipientMissing) {
+            close('failed');
+            return { 
+                status: 'failed', 
+                reason: offererMissing ? `<@${trade.from_id}> no longer has ${offererMissing}` : `<@${trade.to_id}> doesn't have ${recipientMissing}`,
+            };
+        }
+
+        applyTradeItems(guildId, trade.from_id, trade.offered, -1);
+        applyTradeItems(guildId, trade.to_id, trade.offered, 1);
+        applyTradeItems(guildId, trade.to_id, trade.requested, -1);
+        applyTradeItems(guildId, trade.from_id, trade.requested, 1);
+
+        const netXP = BigInt(trade.requested.xp) - BigInt(trade.offered.xp);
+        const netCrates = trade.requested.crates - trade.offered.crates;
+        recordTransaction(guildId, trade.from_id, 'trade', { xp: netXP, crates: netCrates, counterpartyId: trade.to_id });
+        recordTransaction(guildId, trade.to_id, 'trade', { xp: -netXP, crates: -netCrates, counterpartyId: trade.from_id });
+        close('accepted');
+        return { status: 'accepted' };
+    });
+
+    /**
+     * Closes a pending trade without moving anything.
+     * @param {string} guildId 
+     * @param {number} tradeId 
+     * @param {'declined' | 'withdrawn'} status 
+     * @returns {boolean} false if the trade was already closed or has expired.
+     */
+    function closeTrade(guildId, tradeId, status) {
+        const result = db.prepare(`
+            UPDATE trades SET status = ?, closed_at = ? WHERE guild_id = ? AND id = ? AND status = 'pending' AND expires_at > ?
+        `).run(status, Date.now(), guildId, tradeId, Date.now());
+        return result.changes > 0;
+    }
+
+    /**
+     * Gets a market listing.
+     * @param {string} guildId 
+     * @param {number} listingId 
+     * @returns {object | undefined} The market_listings row with parsed `items`.
+     */
+    function getListing(guildId, listingId) {
+        const listing = db.prepare('SELECT * FROM market_listings WHERE guild_id = ? AND id = ?').get(guildId, listingId);
+        return listing ? { ...listing, items: JSON.parse(listing.items) } : undefined;
+    }
+
+    /**
+     * Puts crates or a perk up for sale. The items leave the seller's account right away,
+     * so they can't be spent or sold twice while listed.
+     * @param {string} guildId 
+     * @param {string} sellerId 
+     * @param {{xp: string, crates: number, perkId: number | null}} items - xp must be 0.
+     * @param {BigInt} price 
+     * @param {number} durationMs - How long the listing stays up.
+     * @returns {{listingId: number} | {missing: string}}
+     */
+    const createListing = db.transaction((guildId, sellerId, items, price, durationMs) => {
+        const missing = findMissingTradeItems(guildId, sellerId, items);
+        if (missing) return { missing };
+
+        applyTradeItems(guildId, sellerId, items, -1);
+        if (items.crates > 0) recordTransaction(guildId, sellerId, 'market_listing', { crates: -items.crates });
+
+        const now = Date.now();
+        const { lastInsertRowid } = db.prepare(`
+            INSERT INTO market_listings (guild_id, seller_id, items, price, status, created_at, expires_at)
+            VALUES (?, ?, ?, ?, 'active', ?, ?)
+        `).run(guildId, sellerId, JSON.stringify(items), price.toString(), now, now + durationMs);
+        return { listingId: Number(lastInsertRowid) };
+    });
+
+    /**
+     * Gives the items of an unsold listing back to the seller and closes it.
+     * Must run inside a transaction.
+     * @param {object} listing - From getListing.
+     * @param {'cancelled' | 'expired'} status 
+     */
+    function returnListing(listing, status) {
+        applyTradeItems(listing.guild_id, listing.seller_id, listing.items, 1);
+        if (listing.items.crates > 0) {
+            recordTransaction(listing.guild_id, listing.seller_id, 'market_return', { crates: listing.items.crates });
+        }
+        db.prepare('UPDATE market_listings SET status = ?, closed_at = ? WHERE id = ?').run(status, Date.now(), listing.id);
+    }
+
+    /**
+     * Closes every listing past its expiry, returning the items to their sellers.
+     * @returns {number} How many listings expired.
+     */
+    const expireMarketListings = db.transaction(() => {
+        const expired = db.prepare(`SELECT guild_id, id FROM market_listings WHERE status = 'active' AND expires_at <= ?`).all(Date.now());
+        for (const { guild_id, id } of expired) {
+            returnListing(getListing(guild_id, id), 'expired');
+        }
+        return expired.length;
+    });
+
+    /**
+     * Buys a listing: moves the price from buyer to seller and the items to the buyer,
+     * with the balance check in the same transaction.
+     * @param {string} guildId 
+     * @param {number} listingId 
+     * @param {string} buyerId 
+     * @returns {'sold' | 'gone' | 'own' | 'no_xp'} gone if the listing is sold, cancelled or expired.
+     */
+    const buyListing = db.transaction((guildId, listingId, buyerId) => {
+        const listing = getListing(guildId, listingId);
+        if (!listing || listing.status !== 'active') return 'gone';
+        if (listing.expires_at <= Date.now()) {
+            returnListing(listing, 'expired');
+            return 'gone';
+        }
+        if (listing.seller_id === buyerId) return 'own';
+
+        const price = BigInt(listing.price);
+        if (getUserData(guildId, buyerId).xp < price) return 'no_xp';
+
+        addXP(guildId, buyerId, -price);
+        applyTradeItems(guildId, buyerId, listing.items, 1);
+        getUserData(guildId, listing.seller_id);
+        addXP(guildId, listing.seller_id, price);
+
+        recordTransaction(guildId, buyerId, 'market_purchase', { xp: -price, crates: listing.items.crates, counterpartyId: listing.seller_id });
+        recordTransaction(guildId, listing.seller_id, 'market_sale', { xp: price, counterpartyId: buyerId });
+        db.prepare(`UPDATE market_listings SET status = 'sold', buyer_id = ?, closed_at = ? WHERE id = ?`).run(buyerId, Date.now(), listingId);
+        return 'sold';
+    });
+
+    /**
+     * Takes a member's own listing off the market and returns the items.
+     * @param {string} guildId 
+     * @param {number} listingId 
+     * @param {string} userId 
+     * @returns {'cancelled' | 'gone' | 'not_owner'}
+     */
+    const cancelListing = db.transaction((guildId, listingId, userId) => {
+        const listing = getListing(guildId, listingId);
+        if (!listing || listing.status !== 'active') return 'gone';
+        if (listing.seller_id !== userId) return 'not_owner';
+
+        // The items go back either way; the status says whether the listing had already run out
+        returnListing(listing, listing.expires_at <= Date.now() ? 'expired' : 'cancelled');
+        return 'cancelled';
+    });
+
+    return {
+        getUserData, getUserXP, addXP, addCrates, recordTransaction, transferXP, purchaseCrates,
+        getPerk, getPerkCatalog, addToInventory, getInventory, removeFromInventory, ownsPerk,
+        removePerkRole, removeUserPerk, equipPerk, equipNewPerk, getPityMisses, getRandomPerk,
+        openCrates, getTradablePerkQuantity, findMissingTradeItems, applyTradeItems, getTrade,
+        acceptTrade, closeTrade, getListing, createListing, returnListing, expireMarketListings,
+        buyListing, cancelListing,
+    };
+}
+
+module.exports = { RARITY_TIERS, getRarity, rollWeighted, createEconomy };
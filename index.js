@@ -2,45 +2,110 @@
 
 const { 
     Client, GatewayIntentBits, Partials, SlashCommandBuilder, EmbedBuilder, AttachmentBuilder, 
-    ActionRowBuilder, ButtonBuilder, ButtonStyle, ComponentType 
+    ActionRowBuilder, ButtonBuilder, ButtonStyle, ComponentType, ChannelType, InteractionContextType,
+    PermissionFlagsBits, RateLimitError, RESTJSONErrorCodes 
 } = require('discord.js');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
 const Database = require('better-sqlite3');
+const { createTables } = require('./database');
+const { RARITY_TIERS, getRarity, createEconomy } = require('./economy');
 const { registerFont, createCanvas, loadImage } = require('@napi-rs/canvas'); 
 const express = require('express'); // ADDED: Express for web server
 require('dotenv').config(); 
 
 // --- Configuration ---
-const XP_PER_MESSAGE = 100;
-const CRATE_COST = 10000;
-const INTERVAL_MS = 60000; // 1 minute
-const GIVE_XP_COOLDOWN_MS = 120000; // 2 minutes (2 * 60 * 1000 ms)
-// Setting a large but realistic max amount. We use BigInt now, so overflow shouldn't happen, 
-// but this protects against excessively large user input.
-const MAX_GIVE_XP_AMOUNT = 1000000000; // Maximum 1 billion XP per command execution
+// XP amounts, prices and intervals are per-guild settings (see GUILD_SETTING_DEFAULTS and /config).
+// Largest XP amount a command option accepts; servers set their own limits below it.
+const MAX_XP_OPTION = Number.MAX_SAFE_INTEGER;
+const PENDING_ACTION_TTL_MS = 300000; // 5 minutes to press a confirmation button
+const PERK_EXPIRY_CHECK_MS = 60000; // How often time-limited perks are checked for expiry
+const PERIOD_CHECK_MS = 60000; // How often weekly/monthly boards are checked for rollover
+const HALL_OF_FAME_SIZE = 10; // Places archived per finished period
+const LIVE_MESSAGE_MIN_BACKOFF_MS = 60000; // First pause after a live board edit is rate limited
+const LIVE_MESSAGE_MAX_BACKOFF_MS = 900000; // Longest pause (15 minutes)
+const AVATAR_CACHE_MAX = 500; // Decoded avatar images kept in memory
+const XP_GATE_STATE_MAX = 5000; // Members whose message cooldown and recent messages are kept in memory
+const MAX_CRATES_PER_OPEN = 50; // Most crates one /opencrate can open
+const TRADE_OFFER_TTL_MS = 600000; // 10 minutes to answer a trade offer
+const MARKET_LISTING_DEFAULT_MS = 259200000; // Listings stay up for 3 days unless set otherwise
+const MARKET_LISTING_MAX_MS = 1209600000; // and 14 days at most
+const MARKET_CHECK_MS = 60000; // How often expired listings are returned to their sellers
+const VOICE_CHECK_MS = 60000; // How often voice sessions are credited
+const VOICE_SESSION_GAP_MS = 180000; // A voice session not seen for longer was interrupted (e.g. by a restart)
+const MARKET_PAGE_SIZE = 10;
+const MAX_XP_MULTIPLIER = 10; // Highest channel, role or event XP multiplier
+const XP_EVENT_MAX_DURATION_MS = 604800000; // XP events run for 7 days at most
+const XP_EVENT_CHECK_MS = 60000; // How often finished XP events are announced
+const BACKUP_INTERVAL_MS = 86400000; // A scheduled database backup once a day
+const BACKUP_CHECK_MS = 3600000; // How often the bot checks whether the scheduled backup is due
+const BACKUP_KEEP_SCHEDULED = 14; // Scheduled backups kept on disk
+const BACKUP_KEEP_BEFORE_ACTION = 20; // Backups taken before resets and restores kept on disk, per server
+const CONFIG_IMPORT_MAX_BYTES = 100000; // Largest file /config import reads
 const PORT = process.env.PORT || 3000; // ADDED: Define port for the web server
 
 // Load IDs from environment variables
 const DISCORD_BOT_TOKEN = process.env.DISCORD_BOT_TOKEN;
+// Optional: the channel/role IDs below only seed the settings of the guild that receives
+// the pre-guild data (see migrateLegacyData). Other guilds are configured with /setup.
 const LEADERBOARD_CHANNEL_ID = process.env.LEADERBOARD_CHANNEL_ID;
 const VIEW_STOCK_ROLE_ID = process.env.VIEW_STOCK_ROLE_ID; 
 const SHOUTOUT_ROLE_ID = process.env.SHOUTOUT_ROLE_ID;
+// Optional: which guild the pre-guild data belongs to. Only needed if the bot is in several guilds.
+const LEGACY_GUILD_ID = process.env.LEGACY_GUILD_ID;
+// Where database backups are written
+const BACKUP_DIR = process.env.BACKUP_DIR || 'backups';
 
-if (!DISCORD_BOT_TOKEN || !LEADERBOARD_CHANNEL_ID || !VIEW_STOCK_ROLE_ID || !SHOUTOUT_ROLE_ID) {
-    console.error("FATAL ERROR: Missing one or more required environment variables (TOKEN, CHANNEL_ID, ROLE_IDs). Check your .env file.");
+if (!DISCORD_BOT_TOKEN) {
+    console.error("FATAL ERROR: Missing the DISCORD_BOT_TOKEN environment variable. Check your .env file.");
     process.exit(1);
 }
 
+// Default perk catalog, copied into the database for every new guild (see seedPerkCatalog).
 // Perk Chances and Effects (Based on provided image percentages)
-const PERKS = {
-    "Silver XP Boost":     { chance: 50, effect: { type: 'xp_boost', value: 0.05 } },
-    "View Stock (Role)":   { chance: 25, effect: { type: 'role', roleId: VIEW_STOCK_ROLE_ID } }, 
-    "Gold XP Boost":       { chance: 12, effect: { type: 'xp_boost', value: 0.10 } },
-    "Rainbow XP Boost":    { chance: 9, effect: { type: 'xp_boost', value: 0.20 } },
-    "Shoutout (Role)":     { chance: 4, effect: { type: 'role', roleId: SHOUTOUT_ROLE_ID } }, 
+// Role perks name the guild setting that held their role ID before perks moved to the database.
+const DEFAULT_PERKS = {
+    "Silver XP Boost":     { chance: 50, rarity: 'common',    effect: { type: 'xp_boost', value: 0.05 } },
+    "View Stock (Role)":   { chance: 25, rarity: 'uncommon',  effect: { type: 'role', roleSetting: 'view_stock_role_id' } }, 
+    "Gold XP Boost":       { chance: 12, rarity: 'rare',      effect: { type: 'xp_boost', value: 0.10 } },
+    "Rainbow XP Boost":    { chance: 9,  rarity: 'epic',      effect: { type: 'xp_boost', value: 0.20 } },
+    "Shoutout (Role)":     { chance: 4,  rarity: 'legendary', effect: { type: 'role', roleSetting: 'shoutout_role_id' } }, 
+};
+
+// Fallback values for guild settings that haven't been set. All settings are stored as strings.
+const GUILD_SETTING_DEFAULTS = {
+    xp_per_message: '100',          // XP for each message that passes the XP filters
+    crate_cost: '10000',            // XP price of one crate
+    give_xp_cooldown_ms: '120000',  // Minimum time between two /givexp of one member
+    max_give_xp: '1000000000',      // Most XP one /givexp can send
+    leaderboard_interval_ms: '60000', // How often the live leaderboard is updated
+    voice_xp_per_minute: '10',      // XP for each minute in voice with others, unmuted (0 = off)
+    card_theme: 'dark',             // A key of CARD_THEMES
+    xp_cooldown_ms: '60000',        // Minimum time between two XP-earning messages
+    xp_min_length: '3',             // Shorter messages earn no XP
+    xp_duplicate_history: '5',      // Repeating one of your last N messages earns no XP (0 = off)
+    xp_ignored_channel_ids: '',     // Comma-separated channels that never earn XP
+    level_curve_base: '1000',       // Reaching level L takes base * L^exponent total XP
+    level_curve_exponent: '1.5',
+    season_reward_crates: '0',      // Crates for each of the top places of a finished week/month (0 = off)
+    season_reward_places: '3',
+    pity_threshold: '20',           // Crates in a row below pity_min_rarity before one is guaranteed (0 = off)
+    pity_min_rarity: 'rare',
+    timezone: 'UTC',                // IANA timezone in which /daily days start and end
+    daily_xp: '500',                // /daily XP on the first day of a streak
+    daily_streak_bonus: '50',       // Extra XP for each further day of the streak
+    daily_streak_cap: '30',         // Streak days that still raise the bonus
+    daily_crate_every: '7',         // A crate on every Nth day of a streak (0 = off)
+    daily_grace: '1',               // 1 = each streak survives one missed day, 0 = off
 };
 
 // --- In-Memory Cooldown Storage ---
+// Keyed by `${guildId}:${userId}`
 const cooldowns = new Map();
+// Message XP gate state, keyed by `${guildId}:${userId}`: { lastAwardAt, recentMessages }.
+// Ordered by last message; the members who posted longest ago are dropped past XP_GATE_STATE_MAX.
+const xpGateState = new Map();
 
 // --- Database Setup (better-sqlite3) ---
 
@@ -50,355 +115,3013 @@ const db = new Database('xp.sqlite');
 // This ensures that the XP value is always treated as a BigInt in JavaScript.
 db.pragma('journal_mode = WAL');
 
-// Initialize the database tables. XP is now stored as TEXT to reliably handle BigInt.
-db.exec(`
-    CREATE TABLE IF NOT EXISTS users (
-        id TEXT PRIMARY KEY,
-        xp TEXT DEFAULT '0',  -- Changed to TEXT to safely store large numbers as BigInt
-        crates INTEGER DEFAULT 0,
-        current_perk TEXT DEFAULT NULL
-    );
+/**
+ * Lists the column names of a table (empty if the table doesn't exist).
+ * @param {string} table 
+ * @param {string} [schema] - 'main', or the name of an attached database.
+ * @returns {string[]}
+ */
+function getTableColumns(table, schema = 'main') {
+    return db.prepare(`PRAGMA ${schema}.table_info(${table})`).all().map(column => column.name);
+}
 
-    CREATE TABLE IF NOT EXISTS perks (
-        name TEXT PRIMARY KEY,
-        obtained INTEGER DEFAULT 0
-    );
-    
-    CREATE TABLE IF NOT EXISTS settings (
-        key TEXT PRIMARY KEY,
-        value TEXT
-    );
-`);
+// --- MIGRATION: Move tables from before per-guild storage out of the way ---
+// They are copied into the new tables once the bot knows which guild they belong to.
+const LEGACY_TABLES = ['users', 'perks', 'settings'];
+for (const table of LEGACY_TABLES) {
+    const columns = getTableColumns(table);
+    if (columns.length > 0 && !columns.includes('guild_id')) {
+        db.exec(`ALTER TABLE ${table} RENAME TO legacy_${table}`);
+        console.log(`Migration: moved pre-guild table '${table}' to 'legacy_${table}'.`);
+    }
+}
+
+// --- MIGRATION: Per-guild perk counters keyed by name become the perk catalog ---
+const perkColumns = getTableColumns('perks');
+if (perkColumns.length > 0 && !perkColumns.includes('id')) {
+    db.exec('ALTER TABLE perks RENAME TO perks_by_name');
+}
+
+// Checked before the tables are created, so existing equipped perks can be backfilled below.
+const isNewInventoryTable = getTableColumns('inventory').length === 0;
+
+// Every row is scoped by the Discord guild it belongs to (see database.js).
+createTables(db);
+
+// Balances, inventories, crates, trades and the market (see economy.js)
+const {
+    getUserData, getUserXP, addXP, addCrates, recordTransaction, transferXP, purchaseCrates,
+    getPerk, getPerkCatalog, addToInventory, getInventory, removeFromInventory, ownsPerk,
+    removePerkRole, removeUserPerk, equipPerk, equipNewPerk, getPityMisses, getRandomPerk,
+    openCrates, getTradablePerkQuantity, findMissingTradeItems, applyTradeItems, getTrade,
+    acceptTrade, closeTrade, getListing, createListing, returnListing, expireMarketListings,
+    buyListing, cancelListing,
+} = createEconomy(db, { getPitySettings });
 
 // --- MIGRATION: Safely add new columns for existing DB files ---
+// Old databases get these on their legacy users table before it is copied over.
+if (getTableColumns('legacy_users').length > 0) {
+    try {
+        db.exec(`ALTER TABLE legacy_users ADD COLUMN crates INTEGER DEFAULT 0`);
+    } catch (e) {
+        if (!e.message.includes('duplicate column name')) {
+            console.error("Migration Error adding 'crates':", e);
+        }
+    }
+    try {
+        db.exec(`ALTER TABLE legacy_users ADD COLUMN current_perk TEXT DEFAULT NULL`);
+    } catch (e) {
+        if (!e.message.includes('duplicate column name')) {
+            console.error("Migration Error adding 'current_perk':", e);
+        }
+    }
+}
+try {
+    db.exec(`ALTER TABLE users ADD COLUMN current_perk_id INTEGER DEFAULT NULL`);
+} catch (e) {
+    if (!e.message.includes('duplicate column name')) {
+        console.error("Migration Error adding 'current_perk_id':", e);
+    }
+}
+for (const column of ['perk_equipped_at', 'perk_expires_at']) {
+    try {
+        db.exec(`ALTER TABLE users ADD COLUMN ${column} INTEGER DEFAULT NULL`);
+    } catch (e) {
+        if (!e.message.includes('duplicate column name')) {
+            console.error(`Migration Error adding '${column}':`, e);
+        }
+    }
+}
+try {
+    db.exec(`ALTER TABLE users ADD COLUMN highest_level INTEGER DEFAULT 0`);
+    // Existing members start at whatever level they have now, without a flood of
+    // announcements and rewards (see processLevelUps)
+    db.exec(`UPDATE users SET highest_level = NULL`);
+} catch (e) {
+    if (!e.message.includes('duplicate column name')) {
+        console.error("Migration Error adding 'highest_level':", e);
+    }
+}
+try {
+    db.exec(`ALTER TABLE perks ADD COLUMN duration_ms INTEGER DEFAULT NULL`);
+} catch (e) {
+    if (!e.message.includes('duplicate column name')) {
+        console.error("Migration Error adding 'duration_ms' to perks:", e);
+    }
+}
+try {
+    db.exec(`ALTER TABLE perks ADD COLUMN rarity TEXT NOT NULL DEFAULT 'common'`);
+    // Seeded perks get their default tier; custom perks start as common
+    const setRarityStmt = db.prepare('UPDATE perks SET rarity = ? WHERE name = ?');
+    for (const [name, data] of Object.entries(DEFAULT_PERKS)) {
+        setRarityStmt.run(data.rarity, name);
+    }
+} catch (e) {
+    if (!e.message.includes('duplicate column name')) {
+        console.error("Migration Error adding 'rarity' to perks:", e);
+    }
+}
 try {
-    db.exec(`ALTER TABLE users ADD COLUMN crates INTEGER DEFAULT 0`);
+    db.exec(`ALTER TABLE transactions ADD COLUMN guild_id TEXT`);
 } catch (e) {
     if (!e.message.includes('duplicate column name')) {
-        console.error("Migration Error adding 'crates':", e);
+        console.error("Migration Error adding 'guild_id' to transactions:", e);
     }
 }
 try {
-    db.exec(`ALTER TABLE users ADD COLUMN current_perk TEXT DEFAULT NULL`);
+    db.exec(`ALTER TABLE users ADD COLUMN crates_opened INTEGER DEFAULT 0`);
+    // Count the crates opened so far from the ledger
+    db.exec(`
+        UPDATE users SET crates_opened = (
+            SELECT COUNT(*) FROM transactions 
+            WHERE transactions.guild_id = users.guild_id AND transactions.user_id = users.id AND transactions.type = 'crate_open'
+        )
+    `);
 } catch (e) {
     if (!e.message.includes('duplicate column name')) {
-        console.error("Migration Error adding 'current_perk':", e);
+        console.error("Migration Error adding 'crates_opened':", e);
     }
 }
+db.exec(`
+    DROP INDEX IF EXISTS idx_transactions_user;
+    CREATE INDEX IF NOT EXISTS idx_transactions_guild_user ON transactions (guild_id, user_id, id);
+`);
 
+// --- MIGRATION: Canonical XP strings, so XP can be sorted exactly (see XP_ORDER) ---
+normalizeStoredXP();
+db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_users_xp_rank ON users (guild_id, length(xp) DESC, xp DESC);
+    CREATE INDEX IF NOT EXISTS idx_period_xp_rank ON period_xp (guild_id, period_type, period_key, length(xp) DESC, xp DESC);
+`);
+
+/**
+ * Copies DEFAULT_PERKS into a guild's perk catalog, once per guild. Role perks take their
+ * role from the guild settings used before the catalog existed, if there are any.
+ * @param {string} guildId 
+ */
+function seedPerkCatalog(guildId) {
+    if (getGuildSetting(guildId, 'perk_catalog_seeded')) return;
 
-// Initialize perk counts if not present
-const insertPerkStmt = db.prepare('INSERT OR IGNORE INTO perks (name) VALUES (?)');
-Object.keys(PERKS).forEach(perkName => insertPerkStmt.run(perkName));
+    const insertPerkStmt = db.prepare(`
+        INSERT OR IGNORE INTO perks (guild_id, name, weight, effect_type, effect_value, role_id, rarity)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+    `);
+    db.transaction(() => {
+        for (const [name, data] of Object.entries(DEFAULT_PERKS)) {
+            const roleId = data.effect.type === 'role' ? getGuildSetting(guildId, data.effect.roleSetting) : null;
+            insertPerkStmt.run(guildId, name, data.chance, data.effect.type, data.effect.value ?? null, roleId, data.rarity);
+        }
+        setGuildSetting(guildId, 'perk_catalog_seeded', '1');
+    })();
+}
 
+// Moves the counters and equipped perks of the name-keyed tables onto catalog ids.
+if (getTableColumns('perks_by_name').length > 0) {
+    db.transaction(() => {
+        for (const { guild_id } of db.prepare('SELECT DISTINCT guild_id FROM perks_by_name').all()) {
+            seedPerkCatalog(guild_id);
+        }
+        db.exec(`
+            UPDATE perks SET obtained = (
+                SELECT old.obtained FROM perks_by_name old WHERE old.guild_id = perks.guild_id AND old.name = perks.name
+            ) WHERE EXISTS (
+                SELECT 1 FROM perks_by_name old WHERE old.guild_id = perks.guild_id AND old.name = perks.name
+            );
+            DROP TABLE perks_by_name;
+        `);
+    })();
+    console.log("Migration: moved perk counters into the perk catalog.");
+}
+if (getTableColumns('users').includes('current_perk')) {
+    db.exec(`
+        UPDATE users SET current_perk_id = (
+            SELECT perks.id FROM perks WHERE perks.guild_id = users.guild_id AND perks.name = users.current_perk
+        ) WHERE current_perk IS NOT NULL;
+        ALTER TABLE users DROP COLUMN current_perk;
+    `);
+    console.log("Migration: equipped perks now reference the perk catalog.");
+}
 
-// --- Helper Functions (Database & Perk Logic) ---
+// --- MIGRATION: Perks equipped before the inventory existed become owned perks ---
+if (isNewInventoryTable) {
+    db.prepare(`
+        INSERT OR IGNORE INTO inventory (guild_id, user_id, perk_id, quantity, acquired_at)
+        SELECT guild_id, id, current_perk_id, 1, ? FROM users WHERE current_perk_id IS NOT NULL
+    `).run(Date.now());
+}
 
 /**
- * Retrieves user data, ensuring XP is handled as BigInt for safety.
- * IMPORTANT: This function ensures a user exists in the database.
- * @param {string} userId 
- * @returns {{xp: BigInt, crates: number, current_perk: string | null}}
+ * Copies the pre-guild tables (legacy_*) into the per-guild tables under one guild,
+ * attaches existing ledger rows to it, seeds its settings from the old env vars and
+ * drops the legacy tables. Does nothing if there is no legacy data.
+ * @param {string} guildId - The guild the single-guild data belongs to.
  */
-function getUserData(userId) {
-    const row = db.prepare('SELECT xp, crates, current_perk FROM users WHERE id = ?').get(userId);
-    
-    if (!row) {
-        db.prepare('INSERT OR IGNORE INTO users (id, xp, crates, current_perk) VALUES (?, ?, 0, NULL)').run(userId, '0');
-        // Now fetch the data after insertion to get the default values
-        const newRow = db.prepare('SELECT xp, crates, current_perk FROM users WHERE id = ?').get(userId);
-        const xpAsBigInt = BigInt(newRow.xp || '0');
-        return { 
-            ...newRow, 
-            xp: xpAsBigInt 
+function migrateLegacyData(guildId) {
+    const hasLegacyData = LEGACY_TABLES.some(table => getTableColumns(`legacy_${table}`).length > 0);
+    if (!hasLegacyData) return;
+
+    db.transaction(() => {
+        if (getTableColumns('legacy_settings').length > 0) {
+            db.prepare(`
+                INSERT OR IGNORE INTO settings (guild_id, key, value)
+                SELECT ?, key, value FROM legacy_settings
+            `).run(guildId);
+            db.exec('DROP TABLE legacy_settings');
+        }
+
+        // The env vars used to configure the single guild, so they become its settings.
+        const envSettings = {
+            leaderboard_channel_id: LEADERBOARD_CHANNEL_ID,
+            view_stock_role_id: VIEW_STOCK_ROLE_ID,
+            shoutout_role_id: SHOUTOUT_ROLE_ID,
         };
-    }
-    
-    // XP is stored as TEXT, convert it to BigInt in JS
-    const xpAsBigInt = BigInt(row.xp || '0');
-    
-    return { 
-        ...row, 
-        xp: xpAsBigInt // Return XP as BigInt
-    };
+        for (const [key, value] of Object.entries(envSettings)) {
+            if (value) {
+                db.prepare('INSERT OR IGNORE INTO settings (guild_id, key, value) VALUES (?, ?, ?)').run(guildId, key, value);
+            }
+        }
+
+        // The catalog needs the role settings above, and the perks need to exist before users point at them
+        seedPerkCatalog(guildId);
+        if (getTableColumns('legacy_perks').length > 0) {
+            db.prepare(`
+                UPDATE perks SET obtained = (SELECT obtained FROM legacy_perks WHERE legacy_perks.name = perks.name)
+                WHERE guild_id = ? AND name IN (SELECT name FROM legacy_perks)
+            `).run(guildId);
+            db.exec('DROP TABLE legacy_perks');
+        }
+        if (getTableColumns('legacy_users').length > 0) {
+            // highest_level NULL: levels start from what they have now (see processLevelUps)
+            db.prepare(`
+                INSERT OR IGNORE INTO users (guild_id, id, xp, crates, current_perk_id, highest_level, crates_opened)
+                SELECT ?, id, xp, crates, (SELECT perks.id FROM perks WHERE perks.guild_id = ? AND perks.name = legacy_users.current_perk), NULL,
+                    (SELECT COUNT(*) FROM transactions WHERE transactions.guild_id IS NULL AND transactions.user_id = legacy_users.id AND transactions.type = 'crate_open')
+                FROM legacy_users
+            `).run(guildId, guildId);
+            db.exec('DROP TABLE legacy_users');
+            normalizeStoredXP();
+        }
+        db.prepare('UPDATE transactions SET guild_id = ? WHERE guild_id IS NULL').run(guildId);
+    })();
+
+    console.log(`Migration: moved single-guild data into guild ${guildId}.`);
 }
 
 /**
- * Gets just the user's XP as BigInt.
- * NOTE: This function does NOT create a user if they don't exist.
- * @param {string} userId 
- * @returns {BigInt}
+ * Prepares the per-guild data a guild needs before its members can use the bot.
+ * @param {string} guildId 
  */
-function getUserXP(userId) {
-    const row = db.prepare('SELECT xp FROM users WHERE id = ?').get(userId);
-    return row ? BigInt(row.xp || '0') : 0n;
+function initGuild(guildId) {
+    seedPerkCatalog(guildId);
 }
 
+
+// --- Helper Functions (Database & Perk Logic) ---
+
 /**
- * Adds or subtracts XP, performing all math with BigInt and storing as TEXT.
- * NOTE: This function assumes the user already exists in the database.
- * @param {string} userId 
- * @param {number} amount 
- */
-function addXP(userId, amount) {
-    // 1. Get current XP as BigInt
-    const currentXP = getUserXP(userId);
-    // 2. Convert the incoming amount to BigInt
-    const amountBigInt = BigInt(amount);
-    // 3. Perform the calculation with BigInt
-    const newXP = currentXP + amountBigInt;
-    
-    // 4. Store the result back as a TEXT string
-    // This will only work if the user row exists. For new users, getUserData must be called first.
-    db.prepare('UPDATE users SET xp = ? WHERE id = ?').run(newXP.toString(), userId);
+ * Reads a guild setting from the settings table, falling back to GUILD_SETTING_DEFAULTS.
+ * @param {string} guildId 
+ * @param {string} key 
+ * @returns {string | null}
+ */
+function getGuildSetting(guildId, key) {
+    const row = db.prepare('SELECT value FROM settings WHERE guild_id = ? AND key = ?').get(guildId, key);
+    return row ? row.value : (GUILD_SETTING_DEFAULTS[key] ?? null);
+}
+
+/**
+ * Reads a comma-separated list setting, such as a list of channel or role IDs.
+ * @param {string} guildId 
+ * @param {string} key 
+ * @returns {string[]}
+ */
+function getGuildListSetting(guildId, key) {
+    const value = getGuildSetting(guildId, key);
+    return value ? value.split(',') : [];
 }
 
-function addCrates(userId, amount) {
-    db.prepare('UPDATE users SET crates = crates + ? WHERE id = ?').run(amount, userId);
+function setGuildListSetting(guildId, key, values) {
+    setGuildSetting(guildId, key, values.length > 0 ? values.join(',') : null);
 }
 
 /**
- * Removes the user's currently active perk (and associated role, if applicable).
- * @param {GuildMember} member - The Discord guild member object.
- * @returns {Promise<void>}
+ * Stores a guild setting. Passing null removes it.
+ * @param {string} guildId 
+ * @param {string} key 
+ * @param {string | null} value 
  */
-async function removeUserPerk(member) {
-    const { current_perk } = getUserData(member.id);
-    if (!current_perk) return;
+function setGuildSetting(guildId, key, value) {
+    if (value === null) {
+        db.prepare('DELETE FROM settings WHERE guild_id = ? AND key = ?').run(guildId, key);
+        return;
+    }
+    db.prepare('INSERT OR REPLACE INTO settings (guild_id, key, value) VALUES (?, ?, ?)').run(guildId, key, value);
+}
 
-    const perkData = PERKS[current_perk];
-    if (!perkData) return;
+// XP is stored as canonical decimal TEXT: no sign, no leading zeros (see normalizeStoredXP).
+// A longer string is then a bigger number, and equal lengths compare digit by digit, which
+// sorts exactly at any size. CAST(xp AS REAL) loses precision beyond 2^53.
+const XP_ORDER = 'length(xp) DESC, xp DESC';
+// WHERE condition for "more XP than @xp"
+const XP_GREATER_THAN = '(length(xp) > length(@xp) OR (length(xp) = length(@xp) AND xp > @xp))';
 
-    if (perkData.effect.type === 'role') {
-        try {
-            if (member.roles.cache.has(perkData.effect.roleId)) {
-                await member.roles.remove(perkData.effect.roleId);
+/**
+ * Rewrites stored XP values that aren't canonical, e.g. "007", "1.5e+3" or NULL.
+ * XP can't go below zero, so negative values are treated as corrupt and reset to 0.
+ */
+function normalizeStoredXP() {
+    for (const table of ['users', 'period_xp']) {
+        const rows = db.prepare(`SELECT rowid, xp FROM ${table} WHERE xp IS NULL OR xp NOT GLOB '[1-9]*' OR xp GLOB '*[^0-9]*'`)
+            .all()
+            .filter(row => row.xp !== '0');
+
+        for (const row of rows) {
+            let xp;
+            try {
+                xp = BigInt(row.xp ?? '0');
+            } catch {
+                // Not an integer string, e.g. a float from an old REAL column
+                xp = BigInt(Math.trunc(Number(row.xp)) || 0);
             }
-        } catch (error) {
-            console.error(`Failed to remove old role ${perkData.effect.roleId}:`, error);
+            if (xp < 0n) {
+                console.warn(`Migration: reset negative XP ${row.xp} of ${table} row ${row.rowid} to 0.`);
+                xp = 0n;
+            }
+            db.prepare(`UPDATE ${table} SET xp = ? WHERE rowid = ?`).run(xp.toString(), row.rowid);
         }
+        if (rows.length > 0) console.log(`Migration: normalized ${rows.length} XP value(s) in '${table}'.`);
     }
-    
-    db.prepare('UPDATE users SET current_perk = NULL WHERE id = ?').run(member.id);
 }
 
+// --- Economy Ledger ---
+
+const TRANSACTIONS_PER_PAGE = 10;
+
+// Display labels for every transaction type written to the ledger.
+const TRANSACTION_TYPES = {
+    transfer_out:   'Sent XP',
+    transfer_in:    'Received XP',
+    crate_purchase: 'Bought crates',
+    crate_open:     'Opened crates',
+    grant:          'Grant',
+    revoke:         'Revoke',
+    level_reward:   'Level reward',
+    season_reward:  'Season reward',
+    trade:          'Trade',
+    market_listing: 'Listed on the market',
+    market_return:  'Market listing returned',
+    market_sale:    'Market sale',
+    market_purchase: 'Market purchase',
+    daily:          'Daily reward',
+    reset:          'Reset',
+    restore:        'Restored from backup',
+};
+
 /**
- * Equips a new perk for the user, managing role changes and DB state.
- * @param {GuildMember} member - The Discord guild member object.
- * @param {string} perkName - The name of the new perk to equip.
- * @returns {Promise<void>}
+ * Returns one page of a user's ledger in a guild, newest first.
+ * @param {string} guildId 
+ * @param {string} userId 
+ * @param {number} page - Zero-based page index.
+ * @returns {{rows: object[], total: number, pageCount: number}}
  */
-async function equipNewPerk(member, perkName) {
-    // 1. Remove old perk and roles first
-    await removeUserPerk(member);
+function getTransactionPage(guildId, userId, page) {
+    const { total } = db.prepare('SELECT COUNT(*) AS total FROM transactions WHERE guild_id = ? AND user_id = ?').get(guildId, userId);
+    const rows = db.prepare(`
+        SELECT id, type, xp_change, crate_change, counterparty_id, created_at FROM transactions
+        WHERE guild_id = ? AND user_id = ? ORDER BY id DESC LIMIT ? OFFSET ?
+    `).all(guildId, userId, TRANSACTIONS_PER_PAGE, page * TRANSACTIONS_PER_PAGE);
+    return { rows, total, pageCount: Math.max(1, Math.ceil(total / TRANSACTIONS_PER_PAGE)) };
+}
 
-    // 2. Equip new perk
-    db.prepare('UPDATE users SET current_perk = ? WHERE id = ?').run(perkName, member.id);
-    
-    const newPerkData = PERKS[perkName];
-    if (newPerkData.effect.type === 'role') {
-        try {
-            await member.roles.add(newPerkData.effect.roleId);
-        } catch (error) {
-            console.error(`Failed to grant new role ${newPerkData.effect.roleId}:`, error);
-        }
+/**
+ * Builds the /transactions reply (embed + page buttons) for one page of a user's history.
+ * @param {string} guildId 
+ * @param {User} targetUser - The Discord user whose ledger is shown.
+ * @param {number} page - Zero-based page index; clamped to the available pages.
+ * @returns {{embeds: EmbedBuilder[], components: ActionRowBuilder[]}}
+ */
+function buildTransactionsReply(guildId, targetUser, page) {
+    let history = getTransactionPage(guildId, targetUser.id, page);
+    if (page >= history.pageCount) {
+        page = history.pageCount - 1;
+        history = getTransactionPage(guildId, targetUser.id, page);
     }
+
+    const lines = history.rows.map(row => {
+        const parts = [`\`#${row.id}\``, `<t:${Math.floor(row.created_at / 1000)}:R>`, `**${TRANSACTION_TYPES[row.type] || row.type}**`];
+        const xpChange = BigInt(row.xp_change || '0');
+        if (xpChange !== 0n) parts.push(`${xpChange > 0n ? '+' : ''}${xpChange.toLocaleString()} XP`);
+        if (row.crate_change !== 0) parts.push(`${row.crate_change > 0 ? '+' : ''}${row.crate_change} 📦`);
+        if (row.counterparty_id) parts.push(`(<@${row.counterparty_id}>)`);
+        return parts.join(' • ');
+    });
+
+    const embed = new EmbedBuilder()
+        .setColor('#5865F2')
+        .setTitle(`📒 ${targetUser.username}'s Transactions`)
+        .setDescription(lines.length > 0 ? lines.join('\n') : 'No transactions recorded yet.')
+        .setFooter({ text: `Page ${page + 1} of ${history.pageCount} | ${history.total.toLocaleString()} transaction(s)` });
+
+    const row = new ActionRowBuilder()
+        .addComponents(
+            new ButtonBuilder()
+                .setCustomId(`TX_PAGE_${targetUser.id}_${page - 1}`)
+                .setLabel('Previous')
+                .setStyle(ButtonStyle.Secondary)
+                .setDisabled(page <= 0),
+            new ButtonBuilder()
+                .setCustomId(`TX_PAGE_${targetUser.id}_${page + 1}`)
+                .setLabel('Next')
+                .setStyle(ButtonStyle.Secondary)
+                .setDisabled(page >= history.pageCount - 1),
+        );
+
+    return { embeds: [embed], components: [row] };
 }
 
-function getRandomPerk() {
-    const totalChance = Object.values(PERKS).reduce((sum, perk) => sum + perk.chance, 0);
-    let rand = Math.random() * totalChance;
+// --- Durations ---
 
-    for (const [name, data] of Object.entries(PERKS)) {
-        if (rand < data.chance) {
-            db.prepare('UPDATE perks SET obtained = obtained + 1 WHERE name = ?').run(name);
-            return { name, data };
-        }
-        rand -= data.chance;
+const DURATION_UNITS = { m: 60000, h: 3600000, d: 86400000, w: 604800000 };
+
+/**
+ * Parses a duration like "30m", "12h", "7d" or "1d12h".
+ * @param {string} text 
+ * @returns {number | null} The duration in ms, or null if the text isn't a valid duration.
+ */
+function parseDuration(text) {
+    const normalized = text.trim().toLowerCase().replace(/\s+/g, '');
+    if (!/^(\d+[mhdw])+$/.test(normalized)) return null;
+
+    let ms = 0;
+    for (const [, amount, unit] of normalized.matchAll(/(\d+)([mhdw])/g)) {
+        ms += Number(amount) * DURATION_UNITS[unit];
+    }
+    return ms > 0 ? ms : null;
+}
+
+/**
+ * Formats a duration in ms the way parseDuration reads it, e.g. "1d 12h".
+ * @param {number} ms 
+ * @returns {string}
+ */
+function formatDuration(ms) {
+    const parts = [];
+    let rest = ms;
+    for (const [unit, unitMs] of Object.entries({ d: DURATION_UNITS.d, h: DURATION_UNITS.h, m: DURATION_UNITS.m })) {
+        const amount = Math.floor(rest / unitMs);
+        if (amount > 0) parts.push(`${amount}${unit}`);
+        rest -= amount * unitMs;
     }
-    const fallbackName = Object.keys(PERKS)[0];
-    db.prepare('UPDATE perks SET obtained = obtained + 1 WHERE name = ?').run(fallbackName);
-    return { name: fallbackName, data: PERKS[fallbackName] };
+    return parts.length > 0 ? parts.join(' ') : '<1m';
 }
 
-function getLastLeaderboardMessageId() {
-    const row = db.prepare('SELECT value FROM settings WHERE key = ?').get('leaderboard_message_id');
-    return row ? row.value : null;
+// --- Perk Catalog ---
+
+// Every effect a perk can have. `describe` renders the effect of a catalog row for display.
+const PERK_EFFECT_TYPES = {
+    xp_boost: { label: 'XP Boost', describe: perk => `+${Math.round(perk.effect_value * 100)}% message XP` },
+    role:     { label: 'Role',     describe: perk => perk.role_id ? `Grants <@&${perk.role_id}>` : 'Grants a role (*not set*)' },
+};
+
+/**
+ * Formats a drop rate, with more decimals for rare drops.
+ * @param {number} percent 
+ * @returns {string} e.g. "12.5%" or "0.25%"
+ */
+function formatChance(percent) {
+    return `${percent < 1 ? percent.toFixed(2) : percent.toFixed(1)}%`;
 }
 
-function setLastLeaderboardMessageId(messageId) {
-    db.prepare('INSERT OR REPLACE INTO settings (key, value) VALUES (?, ?)')
-      .run('leaderboard_message_id', messageId);
+/**
+ * Describes what a perk does and, for time-limited perks, for how long.
+ * @param {object} perk - A perks row.
+ * @returns {string}
+ */
+function describePerk(perk) {
+    const effect = PERK_EFFECT_TYPES[perk.effect_type].describe(perk);
+    return perk.duration_ms ? `${effect} for ${formatDuration(perk.duration_ms)}` : effect;
 }
 
+/**
+ * Checks that a perk has everything its effect type needs.
+ * @param {object} perk - A perks row, or the values for a new one.
+ * @returns {string | null} An error message, or null if the perk is valid.
+ */
+function validatePerk(perk) {
+    if (!PERK_EFFECT_TYPES[perk.effect_type]) return `Unknown effect type '${perk.effect_type}'.`;
+    if (perk.effect_type === 'xp_boost' && !(perk.effect_value > 0)) return 'XP boost perks need a `boost_percent` above 0.';
+    if (perk.effect_type === 'role' && !perk.role_id) return 'Role perks need a `role`.';
+    return null;
+}
 
-// --- Image Generation (Canvas Functions) ---
+/**
+ * Finds a perk from a command option, which holds the perk id when picked from the
+ * autocomplete list or a typed name otherwise.
+ * @param {string} guildId 
+ * @param {string} value 
+ * @returns {object | undefined} The perks row.
+ */
+function resolvePerkOption(guildId, value) {
+    if (/^\d+$/.test(value)) {
+        const perk = getPerk(guildId, Number(value));
+        if (perk) return perk;
+    }
+    return db.prepare('SELECT * FROM perks WHERE guild_id = ? AND name = ? COLLATE NOCASE').get(guildId, value.trim());
+}
 
-async function createXPLeaderboardImage(topUsers, client) {
-    const AVATAR_SIZE = 40; 
-    const PADDING_LEFT = 20; 
-    const NAME_START_X = PADDING_LEFT + AVATAR_SIZE + 10; 
-    const XP_TEXT_RIGHT_PADDING = 20; 
+// --- Crate Pity ---
 
-    const width = 650; 
-    const height = 80 + topUsers.length * 60;
-    const canvas = createCanvas(width, height);
-    const ctx = canvas.getContext('2d');
+/**
+ * Gets the pity settings of a guild.
+ * @param {string} guildId 
+ * @returns {{threshold: number, minRarity: string}} threshold is 0 when pity is off.
+ */
+function getPitySettings(guildId) {
+    const minRarity = getGuildSetting(guildId, 'pity_min_rarity');
+    return {
+        threshold: Number(getGuildSetting(guildId, 'pity_threshold')),
+        minRarity: RARITY_TIERS[minRarity] ? minRarity : GUILD_SETTING_DEFAULTS.pity_min_rarity,
+    };
+}
 
-    ctx.fillStyle = '#2C2F33'; 
-    ctx.fillRect(0, 0, width, height);
+// --- Perk Expiry ---
 
-    ctx.fillStyle = '#FFFFFF';
-    ctx.font = 'bold 36px sans-serif';
-    ctx.textAlign = 'center';
-    ctx.fillText('🏆 Top XP Earners 🏆', width / 2, 50);
+/**
+ * Renders when an equipped perk runs out, as a Discord relative timestamp.
+ * @param {number | null} expiresAt - users.perk_expires_at
+ * @returns {string} e.g. " (expires in 2 days)", or an empty string for permanent perks.
+ */
+function formatPerkExpiry(expiresAt) {
+    return expiresAt ? ` (expires <t:${Math.floor(expiresAt / 1000)}:R>)` : '';
+}
 
-    ctx.textAlign = 'left';
+/**
+ * Unequips every time-limited perk whose time is up, including any that ran out while
+ * the bot was offline. Members are told by DM; if that fails, the expiry is only logged.
+ * @param {Client} client 
+ */
+async function expirePerks(client) {
+    const expired = db.prepare(`
+        SELECT guild_id, id, current_perk_id FROM users WHERE perk_expires_at IS NOT NULL AND perk_expires_at <= ?
+    `).all(Date.now());
 
-    for (let i = 0; i < topUsers.length; i++) {
-        const user = topUsers[i];
-        // Ensure user.xp is converted to BigInt for sorting safety, then to string for display
-        const userXP = BigInt(user.xp || '0'); 
-        const discordUser = await client.users.fetch(user.id).catch(() => null);
-        const name = discordUser ? discordUser.username : `User ID: ${user.id}`;
-        const rank = i + 1;
+    for (const row of expired) {
+        const perk = getPerk(row.guild_id, row.current_perk_id);
+        const perkName = perk ? perk.name : `#${row.current_perk_id}`;
+        const guild = client.guilds.cache.get(row.guild_id);
+        const member = guild ? await guild.members.fetch(row.id).catch(() => null) : null;
 
-        const y = 100 + i * 60; 
-        const textY = y + AVATAR_SIZE / 2 - 5; 
+        // Skip members who switched perks while their member data was being fetched
+        const current = getUserData(row.guild_id, row.id);
+        if (current.current_perk_id !== row.current_perk_id || !current.perk_expires_at || current.perk_expires_at > Date.now()) continue;
 
-        ctx.fillStyle = i % 2 === 0 ? '#36393F' : '#40444B';
-        ctx.fillRect(0, y - AVATAR_SIZE / 2 - 5, width, AVATAR_SIZE + 10);
+        if (member) {
+            await removeUserPerk(member);
+        } else {
+            // The member left (or the bot did), so there is no role left to take back
+            db.prepare(`
+                UPDATE users SET current_perk_id = NULL, perk_equipped_at = NULL, perk_expires_at = NULL WHERE guild_id = ? AND id = ?
+            `).run(row.guild_id, row.id);
+        }
+        console.log(`Perk '${perkName}' of user ${row.id} in guild ${row.guild_id} expired.`);
 
-        if (discordUser && discordUser.avatarURL()) {
+        if (member) {
             try {
-                const avatar = await loadImage(discordUser.displayAvatarURL({ extension: 'png', size: 128 }));
-                ctx.save();
-                ctx.beginPath();
-                ctx.arc(PADDING_LEFT + AVATAR_SIZE / 2, y + AVATAR_SIZE / 2, AVATAR_SIZE / 2, 0, Math.PI * 2, true);
-                ctx.closePath();
-                ctx.clip();
-                ctx.drawImage(avatar, PADDING_LEFT, y, AVATAR_SIZE, AVATAR_SIZE); 
-                ctx.restore();
+                await member.send(`⌛ Your perk **${perkName}** in **${guild.name}** has expired. Equip another one from your \`/inventory\` with \`/equip\`.`);
             } catch (error) {
-                console.error(`Failed to load avatar for ${name}:`, error);
-                ctx.fillStyle = '#7289DA';
-                ctx.fillRect(PADDING_LEFT, y, AVATAR_SIZE, AVATAR_SIZE);
+                console.log(`Could not DM user ${row.id} about their expired perk.`);
             }
-        } else {
-            ctx.fillStyle = '#7289DA'; 
-            ctx.fillRect(PADDING_LEFT, y, AVATAR_SIZE, AVATAR_SIZE);
         }
-
-        ctx.fillStyle = '#FFFFFF';
-        ctx.font = '24px sans-serif';
-        ctx.fillText(`${rank}. ${name}`, NAME_START_X, textY);
-
-        ctx.textAlign = 'right';
-        ctx.fillStyle = '#7289DA'; 
-        ctx.font = 'bold 24px sans-serif';
-        // Use .toLocaleString() on the BigInt for proper comma formatting
-        ctx.fillText(`${userXP.toLocaleString()} XP`, width - XP_TEXT_RIGHT_PADDING, textY);
-        ctx.textAlign = 'left'; 
     }
-
-    const attachment = new AttachmentBuilder(canvas.toBuffer('image/png'), { name: 'xp-leaderboard.png' });
-    return attachment;
 }
 
-function createPerkLeaderboardImage(topPerks) {
-    const width = 650;
-    const height = 80 + topPerks.length * 60;
-    const canvas = createCanvas(width, height);
-    const ctx = canvas.getContext('2d');
-
-    ctx.fillStyle = '#2C2F33';
-    ctx.fillRect(0, 0, width, height);
-    ctx.fillStyle = '#FFFFFF';
-    ctx.font = 'bold 36px sans-serif';
-    ctx.textAlign = 'center';
-    ctx.fillText('💎 Top Perks Obtained 💎', width / 2, 50);
 
-    ctx.font = '24px sans-serif';
-    ctx.textAlign = 'left';
+// --- Trading & Market ---
 
-    for (let i = 0; i < topPerks.length; i++) {
-        const perk = topPerks[i];
-        const rank = i + 1;
-        const y = 100 + i * 60;
-        
-        ctx.fillStyle = i % 2 === 0 ? '#36393F' : '#40444B';
-        ctx.fillRect(0, y - 30, width, 50);
+// What a side of a trade or a market listing consists of. xp is a decimal string, so it
+// survives the JSON payloads of pending actions and the trades table.
+// { xp: string, crates: number, perkId: number | null }
 
-        ctx.fillStyle = '#3CB371'; 
-        ctx.font = 'bold 28px sans-serif';
-        ctx.fillText(`#${rank}`, 20, y);
+/**
+ * Builds the items of one side of a trade from command options.
+ * @param {number | null} xp 
+ * @param {number | null} crates 
+ * @param {object | null} perk - perks row.
+ * @returns {{xp: string, crates: number, perkId: number | null}}
+ */
+function makeTradeItems(xp, crates, perk) {
+    return { xp: String(xp ?? 0), crates: crates ?? 0, perkId: perk ? perk.id : null };
+}
 
-        ctx.fillStyle = '#FFFFFF';
-        ctx.font = '24px sans-serif';
-        ctx.fillText(perk.name, 100, y);
+function isEmptyTradeSide(items) {
+    return BigInt(items.xp) === 0n && items.crates === 0 && !items.perkId;
+}
 
-        ctx.textAlign = 'right';
-        ctx.fillStyle = '#FFA07A'; 
-        ctx.font = 'bold 24px sans-serif';
-        ctx.fillText(`${perk.obtained.toLocaleString()} times`, width - 20, y);
-        ctx.textAlign = 'left'; 
+/**
+ * Describes one side of a trade, e.g. "**500 XP**, **2** crate(s) and **Gold XP Boost**".
+ * @param {string} guildId 
+ * @param {{xp: string, crates: number, perkId: number | null}} items 
+ * @returns {string}
+ */
+function describeTradeItems(guildId, items) {
+    const parts = [];
+    if (BigInt(items.xp) > 0n) parts.push(`**${BigInt(items.xp).toLocaleString()} XP**`);
+    if (items.crates > 0) parts.push(`**${items.crates}** crate(s)`);
+    if (items.perkId) {
+        const perk = getPerk(guildId, items.perkId);
+        parts.push(`**${perk ? perk.name : `Perk #${items.perkId}`}**`);
     }
-
-    const attachment = new AttachmentBuilder(canvas.toBuffer('image/png'), { name: 'perk-leaderboard.png' });
-    return attachment;
+    if (parts.length === 0) return '*Nothing*';
+    return parts.length === 1 ? parts[0] : `${parts.slice(0, -1).join(', ')} and ${parts[parts.length - 1]}`;
 }
 
+const TRADE_STATUS_LABELS = {
+    pending:   '⏳ Waiting for an answer',
+    accepted:  '✅ Accepted',
+    declined:  '❌ Declined',
+    withdrawn: '↩️ Withdrawn',
+    expired:   '⌛ Expired',
+    failed:    '⚠️ Failed',
+};
 
-// --- Automated Leaderboard Sender (XP ONLY) ---
+/**
+ * Builds the embed of a trade offer, as shown in the channel and in updates to it.
+ * @param {object} trade - From getTrade.
+ * @returns {EmbedBuilder}
+ */
+function buildTradeEmbed(trade) {
+    return new EmbedBuilder()
+        .setColor(trade.status === 'accepted' ? '#57F287' : trade.status === 'pending' ? '#5865F2' : '#99AAB5')
+        .setTitle(`🤝 Trade #${trade.id}`)
+        .setDescription(`<@${trade.from_id}> ➜ <@${trade.to_id}>`)
+        .addFields(
+            { name: 'Offered', value: describeTradeItems(trade.guild_id, trade.offered), inline: true },
+            { name: 'In exchange for', value: describeTradeItems(trade.guild_id, trade.requested), inline: true },
+            { name: 'Status', value: trade.status === 'pending' 
+                ? `${TRADE_STATUS_LABELS.pending} (expires <t:${Math.floor(trade.expires_at / 1000)}:R>)` 
+                : TRADE_STATUS_LABELS[trade.status] },
+        );
+}
 
-async function autoSendLeaderboards(client) {
-    const channel = client.channels.cache.get(LEADERBOARD_CHANNEL_ID);
-    if (!channel || !channel.isTextBased()) {
-        console.error(`ERROR: Leaderboard channel ID ${LEADERBOARD_CHANNEL_ID} is invalid or not a text channel.`);
-        return;
-    }
+/**
+ * Returns one page of a guild's active listings, newest first.
+ * @param {string} guildId 
+ * @param {number} page - Zero-based page index.
+ * @returns {{rows: object[], total: number, pageCount: number}} rows have parsed `items`.
+ */
+function getMarketPage(guildId, page) {
+    const now = Date.now();
+    const { total } = db.prepare(`SELECT COUNT(*) AS total FROM market_listings WHERE guild_id = ? AND status = 'active' AND expires_at > ?`).get(guildId, now);
+    const rows = db.prepare(`
+        SELECT * FROM market_listings WHERE guild_id = ? AND status = 'active' AND expires_at > ?
+        ORDER BY id DESC LIMIT ? OFFSET ?
+    `).all(guildId, now, MARKET_PAGE_SIZE, page * MARKET_PAGE_SIZE);
+    return { 
+        rows: rows.map(row => ({ ...row, items: JSON.parse(row.items) })), 
+        total, 
+        pageCount: Math.max(1, Math.ceil(total / MARKET_PAGE_SIZE)),
+    };
+}
 
-    try {
-        // Select XP and order them. 
-        const topUsers = db.prepare('SELECT id, xp FROM users ORDER BY CAST(xp AS REAL) DESC LIMIT 10').all();
-        
-        if (topUsers.length === 0) {
-            return console.log('Skipping leaderboard update: No XP data to display.');
-        }
+// --- Message XP Gate (Anti-Spam) ---
 
-        const xpAttachment = await createXPLeaderboardImage(topUsers, client); 
-        const filesToSend = [xpAttachment];
-        
-        // Removed the timestamp and update interval text as requested by the user.
-        const content = `📈 **LIVE XP LEADERBOARD** 📈\n\n`;
+// Display labels for the reasons a message can be denied XP.
+const XP_FILTER_REASONS = {
+    cooldown:  'Cooldown',
+    too_short: 'Too short',
+    duplicate: 'Duplicate',
+};
 
-        const lastMessageId = getLastLeaderboardMessageId();
-        let leaderboardMessage;
+/**
+ * Decides whether a message may earn XP and updates the member's gate state.
+ * @param {Message} message 
+ * @returns {string | null} The reason the message is filtered ('ignored_channel' or a key of
+ *   XP_FILTER_REASONS), or null if it earns XP.
+ */
+function checkXPGate(message) {
+    const guildId = message.guild.id;
+    if (getGuildListSetting(guildId, 'xp_ignored_channel_ids').includes(message.channel.id)) return 'ignored_channel';
 
-        if (lastMessageId) {
-            try {
-                leaderboardMessage = await channel.messages.fetch(lastMessageId);
-                await leaderboardMessage.edit({ content: content, files: filesToSend, embeds: [], components: [] });
-                console.log(`Successfully EDITED leaderboard message ID: ${lastMessageId}`);
+    const content = message.content.trim();
+    if (content.length < Number(getGuildSetting(guildId, 'xp_min_length'))) return 'too_short';
 
-            } catch (error) {
-                console.log(`Could not find or edit message ID ${lastMessageId}. Sending new message.`);
-                leaderboardMessage = await channel.send({ content: content, files: filesToSend });
-                setLastLeaderboardMessageId(leaderboardMessage.id);
-            }
-        } else {
-            leaderboardMessage = await channel.send({ content: content, files: filesToSend });
-            setLastLeaderboardMessageId(leaderboardMessage.id);
-            console.log(`Successfully SENT initial leaderboard message ID: ${leaderboardMessage.id}`);
-        }
-        
-    } catch (error) {
-        console.error('Fatal error during automatic leaderboard update:', error);
+    const key = `${guildId}:${message.author.id}`;
+    const state = xpGateState.get(key) || { lastAwardAt: 0, recentMessages: [] };
+    // Re-inserted so the map stays ordered by last message
+    xpGateState.delete(key);
+    if (xpGateState.size >= XP_GATE_STATE_MAX) {
+        xpGateState.delete(xpGateState.keys().next().value);
     }
-}
+    xpGateState.set(key, state);
 
+    // Compare case- and whitespace-insensitively so trivial edits of a message still count as repeats
+    const normalized = content.toLowerCase().replace(/\s+/g, ' ');
+    const historySize = Number(getGuildSetting(guildId, 'xp_duplicate_history'));
+    const isDuplicate = historySize > 0 && state.recentMessages.includes(normalized);
+    state.recentMessages = historySize > 0 ? [...state.recentMessages, normalized].slice(-historySize) : [];
+    if (isDuplicate) return 'duplicate';
 
-// --- Discord Bot Client ---
+    const now = Date.now();
+    if (now - state.lastAwardAt < Number(getGuildSetting(guildId, 'xp_cooldown_ms'))) return 'cooldown';
+
+    state.lastAwardAt = now;
+    return null;
+}
+
+function recordFilterHit(guildId, userId, reason) {
+    db.prepare(`
+        INSERT INTO xp_filter_hits (guild_id, user_id, reason, hits, last_hit_at) VALUES (?, ?, ?, 1, ?)
+        ON CONFLICT (guild_id, user_id, reason) DO UPDATE SET hits = hits + 1, last_hit_at = excluded.last_hit_at
+    `).run(guildId, userId, reason, Date.now());
+}
+
+/**
+ * Lists the members who tripped the message XP filters most often.
+ * @param {string} guildId 
+ * @param {number} limit 
+ * @returns {{user_id: string, total: number, breakdown: Object<string, number>}[]}
+ */
+function getFilterReport(guildId, limit) {
+    const topUsers = db.prepare(`
+        SELECT user_id, SUM(hits) AS total FROM xp_filter_hits WHERE guild_id = ?
+        GROUP BY user_id ORDER BY total DESC LIMIT ?
+    `).all(guildId, limit);
+    const breakdownStmt = db.prepare('SELECT reason, hits FROM xp_filter_hits WHERE guild_id = ? AND user_id = ?');
+
+    return topUsers.map(({ user_id, total }) => ({
+        user_id,
+        total,
+        breakdown: Object.fromEntries(breakdownStmt.all(guildId, user_id).map(row => [row.reason, row.hits])),
+    }));
+}
+
+
+// --- XP Award Pipeline ---
+
+/**
+ * Resolvers for everything that can scale the XP a member earns. Each one receives the
+ * award context ({ guildId, userId, userData, channel?, member? }) and returns
+ * { source, label, multiplier }, or null when it doesn't apply. Add new resolvers to this list.
+ */
+const XP_MODIFIERS = [
+    perkBoostModifier,
+    channelMultiplierModifier,
+    roleMultiplierModifier,
+    xpEventModifier,
+];
+
+function perkBoostModifier({ guildId, userData }) {
+    const perk = userData.current_perk_id ? getPerk(guildId, userData.current_perk_id) : null;
+    if (!perk || perk.effect_type !== 'xp_boost') return null;
+    // An expired perk boosts nothing, even before the expiry sweep has unequipped it
+    if (userData.perk_expires_at && userData.perk_expires_at <= Date.now()) return null;
+    return { source: 'perk', label: perk.name, multiplier: 1 + perk.effect_value };
+}
+
+/**
+ * The multiplier of the channel the XP is earned in. The nearest channel with one wins:
+ * the channel itself, then the channel of a thread, then the category.
+ */
+function channelMultiplierModifier({ guildId, channel }) {
+    if (!channel) return null;
+    const multipliers = getXPMultipliers(guildId, 'channel');
+    const channelId = [channel.id, channel.parentId, channel.parent?.parentId].find(id => id && multipliers.has(id));
+    if (!channelId) return null;
+    return { source: 'channel', label: `<#${channelId}>`, multiplier: multipliers.get(channelId) };
+}
+
+/**
+ * The multiplier of the member's roles. Role multipliers don't stack with each other:
+ * a member with several of these roles gets the highest one.
+ */
+function roleMultiplierModifier({ guildId, member }) {
+    if (!member) return null;
+    const multipliers = getXPMultipliers(guildId, 'role');
+    // Interactions in uncached guilds carry the raw member with a plain array of role IDs
+    const roleIds = Array.isArray(member.roles) ? member.roles : [...member.roles.cache.keys()];
+    let best = null;
+    for (const roleId of roleIds.filter(id => multipliers.has(id))) {
+        if (!best || multipliers.get(roleId) > best.multiplier) {
+            best = { source: 'role', label: `<@&${roleId}>`, multiplier: multipliers.get(roleId) };
+        }
+    }
+    return best;
+}
+
+function xpEventModifier({ guildId }) {
+    const event = getActiveXPEvent(guildId);
+    if (!event) return null;
+    return { source: 'event', label: `XP Event until <t:${Math.floor(event.ends_at / 1000)}:t>`, multiplier: event.multiplier };
+}
+
+/**
+ * Works out how much XP an activity is worth once every active modifier is applied.
+ * Multipliers of different sources (perk, channel, role, event) stack multiplicatively
+ * and the result is rounded to a whole XP amount.
+ * @param {number} baseAmount - The unmodified XP for the activity.
+ * @param {object} context - Must contain guildId, userId and userData (from getUserData).
+ *   The channel and member the XP is earned in and by are optional.
+ * @returns {{base: number, amount: BigInt, multiplier: number, modifiers: object[]}}
+ */
+function calculateXPAward(baseAmount, context) {
+    const modifiers = XP_MODIFIERS.map(resolve => resolve(context)).filter(Boolean);
+    const multiplier = modifiers.reduce((total, modifier) => total * modifier.multiplier, 1);
+    return {
+        base: baseAmount,
+        amount: BigInt(Math.round(baseAmount * multiplier)),
+        multiplier,
+        modifiers,
+    };
+}
+
+/**
+ * Awards earned XP (as opposed to transfers or purchases) through the modifier pipeline.
+ * Creates the user row if needed.
+ * @param {string} guildId 
+ * @param {string} userId 
+ * @param {number} baseAmount 
+ * @param {object} [context] - Extra data for the modifier resolvers (e.g. channel and member).
+ * @returns {{base: number, amount: BigInt, multiplier: number, modifiers: object[]}}
+ */
+const awardXP = db.transaction((guildId, userId, baseAmount, context = {}) => {
+    const userData = getUserData(guildId, userId);
+    const award = calculateXPAward(baseAmount, { ...context, guildId, userId, userData });
+    addXP(guildId, userId, award.amount);
+    addPeriodXP(guildId, userId, award.amount);
+    return award;
+});
+
+/**
+ * Grants a fixed XP reward (daily rewards, level rewards). It counts on every board like
+ * earned XP, but no modifier scales it. The user row must exist.
+ * @param {string} guildId 
+ * @param {string} userId 
+ * @param {bigint} amount 
+ */
+function grantRewardXP(guildId, userId, amount) {
+    addXP(guildId, userId, amount);
+    addPeriodXP(guildId, userId, amount);
+}
+
+/**
+ * Formats the active modifiers of an award for display, e.g. "Gold XP Boost (+10%)".
+ * @param {object[]} modifiers 
+ * @returns {string}
+ */
+function formatXPModifiers(modifiers) {
+    if (modifiers.length === 0) return 'No active boosts';
+    return modifiers.map(modifier => {
+        const percent = Math.round((modifier.multiplier - 1) * 100);
+        return `${modifier.label} (${percent >= 0 ? '+' : ''}${percent}%)`;
+    }).join(', ');
+}
+
+// --- XP Multipliers & Events ---
+
+/**
+ * Sets the XP multiplier of a channel (or category) or role. 1x removes it.
+ * @param {string} guildId 
+ * @param {'channel' | 'role'} targetType 
+ * @param {string} targetId 
+ * @param {number} multiplier 
+ */
+function setXPMultiplier(guildId, targetType, targetId, multiplier) {
+    if (multiplier === 1) {
+        db.prepare('DELETE FROM xp_multipliers WHERE guild_id = ? AND target_type = ? AND target_id = ?').run(guildId, targetType, targetId);
+        return;
+    }
+    db.prepare(`
+        INSERT INTO xp_multipliers (guild_id, target_type, target_id, multiplier) VALUES (?, ?, ?, ?)
+        ON CONFLICT (guild_id, target_type, target_id) DO UPDATE SET multiplier = excluded.multiplier
+    `).run(guildId, targetType, targetId, multiplier);
+}
+
+/**
+ * @param {string} guildId 
+ * @param {'channel' | 'role'} targetType 
+ * @returns {Map<string, number>} Multiplier by channel or role ID.
+ */
+function getXPMultipliers(guildId, targetType) {
+    const rows = db.prepare('SELECT target_id, multiplier FROM xp_multipliers WHERE guild_id = ? AND target_type = ?').all(guildId, targetType);
+    return new Map(rows.map(row => [row.target_id, row.multiplier]));
+}
+
+/**
+ * Formats a multiplier for display, e.g. "1.5×".
+ * @param {number} multiplier 
+ * @returns {string}
+ */
+function formatMultiplier(multiplier) {
+    return `${Number(multiplier.toFixed(2))}×`;
+}
+
+/**
+ * Gets the XP event running in a guild. An event stops counting at ends_at, even before
+ * its end is announced.
+ * @param {string} guildId 
+ * @param {number} [now] 
+ * @returns {object | undefined} The xp_events row.
+ */
+function getActiveXPEvent(guildId, now = Date.now()) {
+    return db.prepare(`
+        SELECT * FROM xp_events WHERE guild_id = ? AND ended_at IS NULL AND ends_at > ? ORDER BY id DESC LIMIT 1
+    `).get(guildId, now);
+}
+
+/**
+ * Starts a server-wide XP event, unless one is running already.
+ * @param {string} guildId 
+ * @param {string} startedBy - The user ID of the moderator.
+ * @param {number} multiplier 
+ * @param {number} durationMs 
+ * @param {string | null} channelId - Where the start and end are announced.
+ * @returns {object | null} The new xp_events row, or null if an event is running.
+ */
+const startXPEvent = db.transaction((guildId, startedBy, multiplier, durationMs, channelId) => {
+    const now = Date.now();
+    if (getActiveXPEvent(guildId, now)) return null;
+    const { lastInsertRowid } = db.prepare(`
+        INSERT INTO xp_events (guild_id, multiplier, channel_id, started_by, started_at, ends_at) VALUES (?, ?, ?, ?, ?, ?)
+    `).run(guildId, multiplier, channelId, startedBy, now, now + durationMs);
+    return db.prepare('SELECT * FROM xp_events WHERE id = ?').get(lastInsertRowid);
+});
+
+/**
+ * Ends the running XP event of a guild early.
+ * @param {string} guildId 
+ * @returns {object | null} The stopped xp_events row, or null if no event was running.
+ */
+const stopXPEvent = db.transaction((guildId) => {
+    const now = Date.now();
+    const event = getActiveXPEvent(guildId, now);
+    if (!event) return null;
+    db.prepare('UPDATE xp_events SET ended_at = ? WHERE id = ?').run(now, event.id);
+    return { ...event, ended_at: now };
+});
+
+/**
+ * Posts a message about an XP event in the channel it is announced in.
+ * @param {Guild} guild 
+ * @param {object} event - The xp_events row.
+ * @param {string} content 
+ * @returns {Promise<boolean>} Whether the message was posted.
+ */
+async function announceXPEvent(guild, event, content) {
+    const channel = event.channel_id ? guild.channels.cache.get(event.channel_id) : null;
+    if (!channel || !channel.isTextBased()) return false;
+    try {
+        await channel.send({ content });
+        return true;
+    } catch (error) {
+        console.error(`Failed to announce XP event ${event.id} in guild ${guild.id}:`, error);
+        return false;
+    }
+}
+
+/**
+ * Announces the end of every XP event that ran out, including ones that ended while the bot was offline.
+ * @param {Client} client 
+ * @returns {Promise<void>}
+ */
+async function finishXPEvents(client) {
+    const finished = db.prepare('SELECT * FROM xp_events WHERE ended_at IS NULL AND ends_at <= ?').all(Date.now());
+    for (const event of finished) {
+        db.prepare('UPDATE xp_events SET ended_at = ends_at WHERE id = ?').run(event.id);
+        const guild = client.guilds.cache.get(event.guild_id);
+        if (guild) {
+            await announceXPEvent(guild, event, `⏰ The **${formatMultiplier(event.multiplier)} XP event** has ended. Thanks for joining in!`);
+        }
+    }
+}
+
+// --- Voice XP ---
+
+/**
+ * Checks whether a member in a voice channel earns voice XP right now: not a bot, not muted
+ * or deafened, not in the AFK channel or an ignored one, and with someone else who can hear them.
+ * @param {VoiceState} voiceState 
+ * @returns {boolean}
+ */
+function isEarningVoiceXP(voiceState) {
+    const { channel, guild, member } = voiceState;
+    if (!channel || !member || member.user.bot) return false;
+    if (channel.id === guild.afkChannelId) return false;
+    if (getGuildListSetting(guild.id, 'xp_ignored_channel_ids').includes(channel.id)) return false;
+    // mute and deaf cover both self and server mutes
+    if (voiceState.mute || voiceState.deaf) return false;
+    // Someone who can't hear them is no company
+    return channel.members.some(other => other.id !== member.id && !other.user.bot && !other.voice?.deaf);
+}
+
+/**
+ * Awards the whole minutes of a member's voice session since its last credit, and starts
+ * the session if there is none. The rest of a minute carries over to the next call. Time
+ * the bot didn't see the member, e.g. while it was offline, isn't counted.
+ * @param {string} guildId 
+ * @param {string} userId 
+ * @param {string} channelId 
+ * @param {number} now 
+ * @param {object} [context] - The channel and member, for channel and role XP multipliers.
+ * @returns {BigInt} The XP awarded.
+ */
+const creditVoiceSession = db.transaction((guildId, userId, channelId, now, context = {}) => {
+    const session = db.prepare('SELECT * FROM voice_sessions WHERE guild_id = ? AND user_id = ?').get(guildId, userId);
+    if (!session) {
+        db.prepare(`
+            INSERT INTO voice_sessions (guild_id, user_id, channel_id, credited_until, last_seen_at) VALUES (?, ?, ?, ?, ?)
+        `).run(guildId, userId, channelId, now, now);
+        return 0n;
+    }
+
+    let creditedUntil = session.credited_until;
+    const unseenMs = now - session.last_seen_at;
+    if (unseenMs > VOICE_SESSION_GAP_MS) creditedUntil += unseenMs;
+    const minutes = Math.max(0, Math.floor((now - creditedUntil) / 60000));
+    creditedUntil += minutes * 60000;
+    db.prepare(`
+        UPDATE voice_sessions SET channel_id = ?, credited_until = ?, last_seen_at = ? WHERE guild_id = ? AND user_id = ?
+    `).run(channelId, creditedUntil, now, guildId, userId);
+
+    if (minutes === 0) return 0n;
+    return awardXP(guildId, userId, minutes * getGuildConfig(guildId, 'voice_xp_per_minute'), context).amount;
+});
+
+/**
+ * Ends a member's voice session, awarding its whole minutes up to now.
+ * @param {string} guildId 
+ * @param {string} userId 
+ * @param {number} now 
+ * @param {object} [context] - The channel and member, if still known.
+ * @returns {BigInt} The XP awarded.
+ */
+const endVoiceSession = db.transaction((guildId, userId, now, context = {}) => {
+    const session = db.prepare('SELECT channel_id FROM voice_sessions WHERE guild_id = ? AND user_id = ?').get(guildId, userId);
+    if (!session) return 0n;
+    const awarded = creditVoiceSession(guildId, userId, session.channel_id, now, context);
+    db.prepare('DELETE FROM voice_sessions WHERE guild_id = ? AND user_id = ?').run(guildId, userId);
+    return awarded;
+});
+
+/**
+ * Brings the voice sessions of everyone in a channel up to date: members earning voice XP
+ * are credited, the sessions of the others end.
+ * @param {VoiceBasedChannel} channel 
+ * @param {number} now 
+ * @returns {Promise<void>}
+ */
+async function updateVoiceChannel(channel, now) {
+    const guildId = channel.guild.id;
+    const enabled = getGuildConfig(guildId, 'voice_xp_per_minute') > 0;
+    for (const member of channel.members.values()) {
+        const awarded = enabled && isEarningVoiceXP(member.voice)
+            ? creditVoiceSession(guildId, member.id, channel.id, now, { channel, member })
+            : endVoiceSession(guildId, member.id, now, { channel, member });
+        if (awarded > 0n) {
+            await processLevelUps(member).catch(error => console.error('Failed to process level-ups:', error));
+        }
+    }
+}
+
+/**
+ * Credits every running voice session. Sessions of members who are no longer in voice,
+ * e.g. who left while the bot was offline, end without the time it didn't see.
+ * @param {Client} client 
+ * @returns {Promise<void>}
+ */
+async function updateVoiceSessions(client) {
+    const now = Date.now();
+    for (const guild of client.guilds.cache.values()) {
+        const voiceStates = guild.voiceStates.cache.filter(state => state.channel);
+        for (const channel of new Set(voiceStates.map(state => state.channel))) {
+            await updateVoiceChannel(channel, now);
+        }
+        for (const { user_id } of db.prepare('SELECT user_id FROM voice_sessions WHERE guild_id = ?').all(guild.id)) {
+            if (!voiceStates.has(user_id)) endVoiceSession(guild.id, user_id, now);
+        }
+    }
+}
+
+// --- Levels ---
+
+const LEVEL_REWARD_TYPES = {
+    role:   { label: 'Role',     describe: value => `<@&${value}>` },
+    crates: { label: 'Crates',   describe: value => `${Number(value).toLocaleString()} crate(s) 📦` },
+    xp:     { label: 'XP Bonus', describe: value => `${BigInt(value).toLocaleString()} bonus XP` },
+};
+
+function getLevelCurve(guildId) {
+    return {
+        base: Number(getGuildSetting(guildId, 'level_curve_base')),
+        exponent: Number(getGuildSetting(guildId, 'level_curve_exponent')),
+    };
+}
+
+/**
+ * The total XP needed to reach a level.
+ * @param {{base: number, exponent: number}} curve 
+ * @param {number} level 
+ * @returns {bigint}
+ */
+function getLevelThreshold(curve, level) {
+    return BigInt(Math.round(curve.base * level ** curve.exponent));
+}
+
+/**
+ * Works out a member's level from their XP.
+ * @param {string} guildId 
+ * @param {bigint} xp 
+ * @returns {{level: number, xpIntoLevel: bigint, xpForLevel: bigint, xpToNext: bigint, percent: number}}
+ */
+function getLevelInfo(guildId, xp) {
+    const curve = getLevelCurve(guildId);
+
+    // Estimate with floats, then correct the estimate with exact BigInt comparisons
+    let level = Math.max(0, Math.floor((Number(xp) / curve.base) ** (1 / curve.exponent)));
+    while (level > 0 && getLevelThreshold(curve, level) > xp) level--;
+    while (getLevelThreshold(curve, level + 1) <= xp) level++;
+
+    const floor = getLevelThreshold(curve, level);
+    const next = getLevelThreshold(curve, level + 1);
+    return {
+        level,
+        xpIntoLevel: xp - floor,
+        xpForLevel: next - floor,
+        xpToNext: next - xp,
+        percent: Number(((xp - floor) * 100n) / (next - floor)),
+    };
+}
+
+/**
+ * Gets the rewards of a range of levels.
+ * @param {string} guildId 
+ * @param {number} fromLevel - Exclusive.
+ * @param {number} toLevel - Inclusive.
+ * @returns {object[]} level_rewards rows, lowest level first.
+ */
+function getLevelRewards(guildId, fromLevel = 0, toLevel = Number.MAX_SAFE_INTEGER) {
+    return db.prepare(`
+        SELECT * FROM level_rewards WHERE guild_id = ? AND level > ? AND level <= ? ORDER BY level, reward_type
+    `).all(guildId, fromLevel, toLevel);
+}
+
+/**
+ * Hands out the crate and XP rewards of every level a member has newly reached and
+ * raises their highest_level, as one transaction so a level can't be claimed twice.
+ * @param {string} guildId 
+ * @param {string} userId 
+ * @returns {{highest: number, rewards: object[]} | null} null if there was no new level.
+ */
+const claimLevelRewards = db.transaction((guildId, userId) => {
+    const { highest_level } = db.prepare('SELECT highest_level FROM users WHERE guild_id = ? AND id = ?').get(guildId, userId);
+    let { level } = getLevelInfo(guildId, getUserXP(guildId, userId));
+
+    if (highest_level === null) {
+        // A member from before levels existed: their current level is the starting point
+        db.prepare('UPDATE users SET highest_level = ? WHERE guild_id = ? AND id = ?').run(level, guildId, userId);
+        return null;
+    }
+    if (level <= highest_level) return null;
+
+    const rewards = [];
+    let highest = highest_level;
+    while (level > highest) {
+        for (const reward of getLevelRewards(guildId, highest, level)) {
+            if (reward.reward_type === 'crates') {
+                addCrates(guildId, userId, Number(reward.value));
+                recordTransaction(guildId, userId, 'level_reward', { crates: Number(reward.value) });
+            } else if (reward.reward_type === 'xp') {
+                grantRewardXP(guildId, userId, BigInt(reward.value));
+                recordTransaction(guildId, userId, 'level_reward', { xp: BigInt(reward.value) });
+            }
+            rewards.push(reward);
+        }
+        highest = level;
+        // An XP bonus can be enough for the next level
+        level = getLevelInfo(guildId, getUserXP(guildId, userId)).level;
+    }
+    db.prepare('UPDATE users SET highest_level = ? WHERE guild_id = ? AND id = ?').run(highest, guildId, userId);
+    return { highest, rewards };
+});
+
+/**
+ * Announces and rewards every level a member has reached for the first time. Spending XP
+ * on crates can lower a member's level, but reaching a level again gives nothing.
+ * @param {GuildMember} member 
+ */
+async function processLevelUps(member) {
+    const guildId = member.guild.id;
+    // The database work is done before the first await, so a second message
+    // arriving in the meantime can't hand out the same rewards again
+    const levelUp = claimLevelRewards(guildId, member.id);
+    if (!levelUp) return;
+    const { highest, rewards } = levelUp;
+
+    for (const reward of rewards.filter(reward => reward.reward_type === 'role')) {
+        try {
+            await member.roles.add(reward.value);
+        } catch (error) {
+            console.error(`Failed to grant level ${reward.level} role ${reward.value}:`, error);
+        }
+    }
+
+    const channelId = getGuildSetting(guildId, 'level_up_channel_id');
+    if (!channelId) return; // Announcements are off until a channel is set (see /setup)
+
+    const channel = member.guild.channels.cache.get(channelId);
+    if (!channel || !channel.isTextBased()) {
+        console.error(`ERROR: Level-up channel ID ${channelId} of guild ${guildId} is invalid or not a text channel.`);
+        return;
+    }
+    const rewardLines = rewards.map(reward => `🎁 ${LEVEL_REWARD_TYPES[reward.reward_type].describe(reward.value)}`);
+    await channel.send({
+        content: `🎉 ${member} reached **Level ${highest}**!` + (rewardLines.length > 0 ? `\n${rewardLines.join('\n')}` : ''),
+        allowedMentions: { users: [member.id] },
+    }).catch(error => console.error(`Failed to announce level-up in guild ${guildId}:`, error));
+}
+
+// --- Seasonal Boards (Weekly & Monthly) ---
+
+/**
+ * The ISO week of a date in UTC, e.g. "2026-W07". Weeks start on Monday.
+ * @param {Date} date 
+ * @returns {string}
+ */
+function getISOWeekKey(date) {
+    // The ISO year and week are the ones of the Thursday in the same week
+    const thursday = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+    thursday.setUTCDate(thursday.getUTCDate() + 4 - (thursday.getUTCDay() || 7));
+    const yearStart = Date.UTC(thursday.getUTCFullYear(), 0, 1);
+    const week = Math.ceil(((thursday - yearStart) / 86400000 + 1) / 7);
+    return `${thursday.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+}
+
+const PERIOD_TYPES = {
+    weekly:  { label: 'Weekly',  title: 'This Week',  describe: key => `Week ${key}`,  getKey: date => getISOWeekKey(date) },
+    monthly: { label: 'Monthly', title: 'This Month', describe: key => `Month ${key}`, getKey: date => date.toISOString().slice(0, 7) },
+};
+
+/**
+ * Adds earned XP to the current week and month of a member.
+ * @param {string} guildId 
+ * @param {string} userId 
+ * @param {bigint} amount 
+ */
+function addPeriodXP(guildId, userId, amount) {
+    const now = new Date();
+    for (const [type, period] of Object.entries(PERIOD_TYPES)) {
+        const key = period.getKey(now);
+        const row = db.prepare(`
+            SELECT xp FROM period_xp WHERE guild_id = ? AND period_type = ? AND period_key = ? AND user_id = ?
+        `).get(guildId, type, key, userId);
+        const newXP = BigInt(row ? row.xp : '0') + BigInt(amount);
+        db.prepare(`
+            INSERT INTO period_xp (guild_id, user_id, period_type, period_key, xp) VALUES (?, ?, ?, ?, ?)
+            ON CONFLICT (guild_id, period_type, period_key, user_id) DO UPDATE SET xp = excluded.xp
+        `).run(guildId, userId, type, key, newXP.toString());
+    }
+}
+
+/**
+ * Gets the top of a period board.
+ * @param {string} guildId 
+ * @param {string} type - A key of PERIOD_TYPES.
+ * @param {string} key 
+ * @param {number} limit 
+ * @returns {{id: string, xp: string, period_xp: string}[]} xp is the lifetime total.
+ */
+function getPeriodStandings(guildId, type, key, limit) {
+    return db.prepare(`
+        SELECT period_xp.user_id AS id, period_xp.xp AS period_xp, COALESCE(users.xp, '0') AS xp FROM period_xp
+        LEFT JOIN users ON users.guild_id = period_xp.guild_id AND users.id = period_xp.user_id
+        WHERE period_xp.guild_id = ? AND period_xp.period_type = ? AND period_xp.period_key = ?
+        ORDER BY length(period_xp.xp) DESC, period_xp.xp DESC LIMIT ?
+    `).all(guildId, type, key, limit);
+}
+
+/**
+ * Archives the final standings of a finished period, hands out its rewards and clears its board.
+ * @param {Client} client 
+ * @param {string} guildId 
+ * @param {string} type 
+ * @param {string} key - The period that ended.
+ */
+async function archivePeriod(client, guildId, type, key) {
+    const rewardCrates = Number(getGuildSetting(guildId, 'season_reward_crates'));
+    const rewardPlaces = Number(getGuildSetting(guildId, 'season_reward_places'));
+    const standings = getPeriodStandings(guildId, type, key, HALL_OF_FAME_SIZE);
+
+    db.transaction(() => {
+        const endedAt = Date.now();
+        standings.forEach((row, index) => {
+            db.prepare(`
+                INSERT OR IGNORE INTO hall_of_fame (guild_id, period_type, period_key, position, user_id, xp, ended_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?)
+            `).run(guildId, type, key, index + 1, row.id, row.period_xp, endedAt);
+
+            if (rewardCrates > 0 && index < rewardPlaces) {
+                getUserData(guildId, row.id); // Members can have left the users table through a reset
+                addCrates(guildId, row.id, rewardCrates);
+                recordTransaction(guildId, row.id, 'season_reward', { crates: rewardCrates });
+            }
+        });
+        db.prepare('DELETE FROM period_xp WHERE guild_id = ? AND period_type = ? AND period_key = ?').run(guildId, type, key);
+    })();
+    console.log(`Archived ${PERIOD_TYPES[type].describe(key)} of guild ${guildId} (${standings.length} place(s)).`);
+
+    const roleId = getGuildSetting(guildId, 'season_winner_role_id');
+    const guild = client.guilds.cache.get(guildId);
+    if (!roleId || !guild || standings.length === 0) return;
+
+    // The role moves from the previous winner of this board to the new one, unless the
+    // previous winner still holds it as the latest winner of the other board
+    const winnerId = standings[0].id;
+    const previous = db.prepare(`
+        SELECT user_id FROM hall_of_fame WHERE guild_id = ? AND period_type = ? AND position = 1 AND period_key < ?
+        ORDER BY period_key DESC LIMIT 1
+    `).get(guildId, type, key);
+    const otherHolders = db.prepare(`
+        SELECT user_id FROM hall_of_fame AS h WHERE guild_id = ? AND period_type != ? AND position = 1
+        AND period_key = (SELECT MAX(period_key) FROM hall_of_fame WHERE guild_id = h.guild_id AND period_type = h.period_type)
+    `).all(guildId, type).map(row => row.user_id);
+
+    try {
+        if (previous && previous.user_id !== winnerId && !otherHolders.includes(previous.user_id)) {
+            const previousMember = await guild.members.fetch(previous.user_id).catch(() => null);
+            if (previousMember) await previousMember.roles.remove(roleId);
+        }
+        const winner = await guild.members.fetch(winnerId).catch(() => null);
+        if (winner) await winner.roles.add(roleId);
+    } catch (error) {
+        console.error(`Failed to move the season winner role ${roleId} in guild ${guildId}:`, error);
+    }
+}
+
+/**
+ * Archives every period that has ended since the last check. The first check after a
+ * restart catches up on periods that ended while the bot was offline.
+ * @param {Client} client 
+ */
+async function rolloverPeriods(client) {
+    const now = new Date();
+    for (const guildId of client.guilds.cache.keys()) {
+        for (const [type, period] of Object.entries(PERIOD_TYPES)) {
+            const currentKey = period.getKey(now);
+            const settingKey = `current_period_${type}`;
+            const storedKey = getGuildSetting(guildId, settingKey);
+
+            if (storedKey && storedKey !== currentKey) {
+                try {
+                    await archivePeriod(client, guildId, type, storedKey);
+                } catch (error) {
+                    console.error(`Failed to archive ${PERIOD_TYPES[type].describe(storedKey)} of guild ${guildId}:`, error);
+                    continue; // Try again on the next check
+                }
+            }
+            if (storedKey !== currentKey) setGuildSetting(guildId, settingKey, currentKey);
+        }
+    }
+}
+
+// --- Daily Rewards ---
+
+/**
+ * Checks whether the runtime knows a timezone, e.g. "Europe/Berlin".
+ * @param {string} timeZone 
+ * @returns {boolean}
+ */
+function isValidTimeZone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+function getGuildTimeZone(guildId) {
+    const timeZone = getGuildSetting(guildId, 'timezone');
+    return isValidTimeZone(timeZone) ? timeZone : 'UTC';
+}
+
+/**
+ * Gets the wall clock time of a moment in a timezone.
+ * @param {number} timestamp 
+ * @param {string} timeZone 
+ * @returns {{dayKey: string, wallClockMs: number}} dayKey like "2026-02-14"; wallClockMs is the
+ *   local date and time as if it were UTC, so the timezone offset is wallClockMs - timestamp.
+ */
+function getLocalTime(timestamp, timeZone) {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+        timeZone, hourCycle: 'h23', year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit',
+    }).formatToParts(new Date(timestamp)).map(part => [part.type, part.value]));
+    return {
+        dayKey: `${parts.year}-${parts.month}-${parts.day}`,
+        wallClockMs: Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second),
+    };
+}
+
+/**
+ * When the day after a moment starts in a timezone.
+ * @param {number} timestamp 
+ * @param {string} timeZone 
+ * @returns {number}
+ */
+function getNextDayStart(timestamp, timeZone) {
+    const { dayKey, wallClockMs } = getLocalTime(timestamp, timeZone);
+    const offset = wallClockMs - Math.floor(timestamp / 1000) * 1000;
+    return Date.parse(dayKey) + 86400000 - offset;
+}
+
+/**
+ * Counts the calendar days from one day key to another.
+ * @param {string} fromDay - e.g. "2026-02-14"
+ * @param {string} toDay 
+ * @returns {number}
+ */
+function daysBetween(fromDay, toDay) {
+    // Date-only strings parse as UTC midnight, so there is no DST to trip over
+    return Math.round((Date.parse(toDay) - Date.parse(fromDay)) / 86400000);
+}
+
+/**
+ * Gets the /daily reward settings of a guild.
+ * @param {string} guildId 
+ * @returns {{baseXP: number, streakBonus: number, streakCap: number, crateEvery: number, grace: boolean}}
+ */
+function getDailySettings(guildId) {
+    return {
+        baseXP: Number(getGuildSetting(guildId, 'daily_xp')),
+        streakBonus: Number(getGuildSetting(guildId, 'daily_streak_bonus')),
+        streakCap: Number(getGuildSetting(guildId, 'daily_streak_cap')),
+        crateEvery: Number(getGuildSetting(guildId, 'daily_crate_every')),
+        grace: getGuildSetting(guildId, 'daily_grace') === '1',
+    };
+}
+
+/**
+ * Claims a member's daily reward if they haven't yet today (in the guild's timezone).
+ * Claiming the day after the last claim continues the streak; missing a day resets it,
+ * unless the grace day is on and the streak hasn't used it yet.
+ * @param {string} guildId 
+ * @param {string} userId 
+ * @returns {{claimed: false, streak: number, nextAt: number} | 
+ *   {claimed: true, streak: number, xp: number, crates: number, graceUsed: boolean, streakLost: number, nextAt: number}}
+ *   streakLost is the length of a streak that just ended (0 if none did).
+ */
+const claimDaily = db.transaction((guildId, userId) => {
+    const now = Date.now();
+    const timeZone = getGuildTimeZone(guildId);
+    const today = getLocalTime(now, timeZone).dayKey;
+    const nextAt = getNextDayStart(now, timeZone);
+    const last = db.prepare('SELECT * FROM daily_claims WHERE guild_id = ? AND user_id = ?').get(guildId, userId);
+
+    const gap = last ? daysBetween(last.last_day, today) : null;
+    // A gap below 1 means today was claimed already (or the timezone moved back a day)
+    if (last && gap < 1) return { claimed: false, streak: last.streak, nextAt };
+
+    const settings = getDailySettings(guildId);
+    const graceUsed = !!last && gap === 2 && settings.grace && !last.grace_used;
+    const continues = !!last && (gap === 1 || graceUsed);
+    const streak = continues ? last.streak + 1 : 1;
+
+    const xp = settings.baseXP + settings.streakBonus * Math.min(streak - 1, settings.streakCap);
+    const crates = settings.crateEvery > 0 && streak % settings.crateEvery === 0 ? 1 : 0;
+
+    getUserData(guildId, userId);
+    grantRewardXP(guildId, userId, BigInt(xp));
+    if (crates > 0) addCrates(guildId, userId, crates);
+    recordTransaction(guildId, userId, 'daily', { xp, crates });
+
+    db.prepare(`
+        INSERT INTO daily_claims (guild_id, user_id, last_day, streak, best_streak, grace_used, total_claims, last_claimed_at)
+        VALUES (@guildId, @userId, @today, @streak, @streak, @graceUsed, 1, @now)
+        ON CONFLICT (guild_id, user_id) DO UPDATE SET
+            last_day = @today, streak = @streak, best_streak = MAX(best_streak, @streak), grace_used = @graceUsed,
+            total_claims = total_claims + 1, last_claimed_at = @now
+    `).run({ guildId, userId, today, streak, graceUsed: continues && (graceUsed || last.grace_used) ? 1 : 0, now });
+
+    return { claimed: true, streak, xp, crates, graceUsed, streakLost: last && !continues ? last.streak : 0, nextAt };
+});
+
+/**
+ * Gets a member's streak as it stands today: a streak that can no longer be continued counts as 0.
+ * @param {string} guildId 
+ * @param {string} userId 
+ * @returns {{streak: number, best: number, claimedToday: boolean}}
+ */
+function getDailyStreak(guildId, userId) {
+    const last = db.prepare('SELECT last_day, streak, best_streak, grace_used FROM daily_claims WHERE guild_id = ? AND user_id = ?').get(guildId, userId);
+    if (!last) return { streak: 0, best: 0, claimedToday: false };
+
+    const gap = daysBetween(last.last_day, getLocalTime(Date.now(), getGuildTimeZone(guildId)).dayKey);
+    const alive = gap <= 1 || (gap === 2 && getDailySettings(guildId).grace && !last.grace_used);
+    return { streak: alive ? last.streak : 0, best: last.best_streak, claimedToday: gap < 1 };
+}
+
+// --- Backups & Resets ---
+
+/**
+ * Lists the backups on disk, newest first. Backups taken before a reset or restore carry
+ * the id of the server it was run in (guildId); scheduled ones, and ones from before
+ * backups were kept per server, have none.
+ * @param {string | null} [guildId] - Leave out the backups taken before actions in other servers.
+ * @returns {{id: string, file: string, reason: string, guildId: string | null, createdAt: number, size: number}[]}
+ */
+function listBackups(guildId = null) {
+    if (!fs.existsSync(BACKUP_DIR)) return [];
+    return fs.readdirSync(BACKUP_DIR)
+        .map(name => name.match(/^xp-((\d{8}-\d{6}-\d{3})-([a-z-]+?)(?:-(\d+))?)\.sqlite$/))
+        .filter(Boolean)
+        .map(([name, id, stamp, reason, backupGuildId = null]) => {
+            const file = path.join(BACKUP_DIR, name);
+            const { size, mtimeMs } = fs.statSync(file);
+            return { id, file, reason, guildId: backupGuildId, createdAt: mtimeMs, size };
+        })
+        .filter(backup => !guildId || !backup.guildId || backup.guildId === guildId)
+        .sort((a, b) => b.id.localeCompare(a.id));
+}
+
+/**
+ * Copies the whole database into a timestamped file in BACKUP_DIR, then deletes the
+ * oldest backups of the same kind beyond the retention limit. Backups taken before an
+ * action are kept per server, so one busy server can't push out another's.
+ * @param {string} reason - e.g. 'scheduled' or 'before-reset'; lowercase letters and dashes.
+ * @param {string | null} [guildId] - The server the action runs in; required for anything but 'scheduled'.
+ * @returns {Promise<string>} The backup id.
+ */
+async function createBackup(reason, guildId = null) {
+    fs.mkdirSync(BACKUP_DIR, { recursive: true });
+    // 20260214-093000-123: sorts by time and is safe in file names
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').replace('T', '-').replace('.', '-').slice(0, 19);
+    const scheduled = reason === 'scheduled';
+    const id = scheduled ? `${stamp}-${reason}` : `${stamp}-${reason}-${guildId}`;
+    await db.backup(path.join(BACKUP_DIR, `xp-${id}.sqlite`));
+
+    const keep = scheduled ? BACKUP_KEEP_SCHEDULED : BACKUP_KEEP_BEFORE_ACTION;
+    const sameKind = listBackups().filter(backup => scheduled
+        ? backup.reason === 'scheduled'
+        : backup.reason !== 'scheduled' && backup.guildId === guildId);
+    for (const old of sameKind.slice(keep)) {
+        fs.rmSync(old.file, { force: true });
+    }
+    return id;
+}
+
+/**
+ * Takes the scheduled backup if the last one is older than BACKUP_INTERVAL_MS,
+ * so restarts neither skip nor repeat it.
+ */
+async function runScheduledBackup() {
+    const last = listBackups().find(backup => backup.reason === 'scheduled');
+    if (last && Date.now() - last.createdAt < BACKUP_INTERVAL_MS) return;
+    try {
+        const id = await createBackup('scheduled');
+        console.log(`Scheduled backup ${id} written.`);
+    } catch (error) {
+        console.error('Scheduled backup failed:', error);
+    }
+}
+
+// Per-guild member data a restore puts back. Settings, the perk catalog and the
+// hall of fame stay as they are. The ledger, trades and closed market listings are
+// history: they are appended to, never rewound (see restoreMarketListings).
+const RESTORED_TABLES = ['users', 'inventory', 'period_xp', 'crate_pity', 'daily_claims'];
+
+/**
+ * Brings the active market listings of a guild back to their state in the attached backup,
+ * without touching closed listings. Listings active in the backup hold items the restored
+ * balances don't have, so they are active again: as they are if they still are, or listed
+ * anew if they closed since. Listings put up since the backup are closed, as the restored
+ * balances hold their items again. Must run inside the restore transaction.
+ * @param {string} guildId 
+ */
+function restoreMarketListings(guildId) {
+    const now = Date.now();
+    const backupListings = getTableColumns('market_listings', 'backup').includes('guild_id')
+        ? db.prepare(`SELECT * FROM backup.market_listings WHERE guild_id = ? AND status = 'active'`).all(guildId)
+        : [];
+
+    const activeIds = new Set();
+    for (const listing of backupListings) {
+        const current = db.prepare('SELECT status FROM main.market_listings WHERE guild_id = ? AND id = ?').get(guildId, listing.id);
+        if (current?.status === 'active') {
+            activeIds.add(listing.id);
+            continue;
+        }
+        const { lastInsertRowid } = db.prepare(`
+            INSERT INTO main.market_listings (guild_id, seller_id, items, price, status, created_at, expires_at)
+            VALUES (?, ?, ?, ?, 'active', ?, ?)
+        `).run(guildId, listing.seller_id, listing.items, listing.price, listing.created_at, listing.expires_at);
+        activeIds.add(Number(lastInsertRowid));
+    }
+
+    for (const { id } of db.prepare(`SELECT id FROM main.market_listings WHERE guild_id = ? AND status = 'active'`).all(guildId)) {
+        if (!activeIds.has(id)) {
+            db.prepare(`UPDATE main.market_listings SET status = 'cancelled', closed_at = ? WHERE id = ?`).run(now, id);
+        }
+    }
+}
+
+/**
+ * Replaces one guild's member data with its state in a backup. Other guilds are untouched.
+ * Balance changes are written to the ledger as 'restore'.
+ * @param {string} guildId 
+ * @param {string} file - The backup file.
+ * @returns {{ changed: number, perkChanges: { userId: string, before: number | null, after: number | null }[] }}
+ *   How many members' balances changed, and whose equipped perk changed (see syncPerkRoles).
+ */
+function restoreGuildFromBackup(guildId, file) {
+    // ATTACH can't run inside a transaction, so the copying is a transaction of its own
+    db.prepare('ATTACH DATABASE ? AS backup').run(file);
+    try {
+        if (!getTableColumns('users', 'backup').includes('guild_id')) {
+            throw new Error('This backup is from before per-server data and cannot be restored.');
+        }
+        return db.transaction(() => {
+            const balancesBefore = new Map(db.prepare('SELECT id, xp, crates, current_perk_id FROM users WHERE guild_id = ?').all(guildId).map(row => [row.id, row]));
+
+            for (const table of RESTORED_TABLES) {
+                db.prepare(`DELETE FROM main.${table} WHERE guild_id = ?`).run(guildId);
+                // Tables and columns newer than the backup keep their defaults
+                const backupColumns = getTableColumns(table, 'backup');
+                const columns = getTableColumns(table).filter(column => backupColumns.includes(column)).join(', ');
+                if (!backupColumns.includes('guild_id')) continue;
+                db.prepare(`INSERT INTO main.${table} (${columns}) SELECT ${columns} FROM backup.${table} WHERE guild_id = ?`).run(guildId);
+            }
+            restoreMarketListings(guildId);
+            if (getTableColumns('perks', 'backup').includes('id')) {
+                db.prepare(`
+                    UPDATE main.perks SET obtained = COALESCE((SELECT old.obtained FROM backup.perks old WHERE old.id = perks.id), 0) WHERE guild_id = ?
+                `).run(guildId);
+            }
+            normalizeStoredXP();
+
+            let changed = 0;
+            const perkChanges = [];
+            const balancesAfter = new Map(db.prepare('SELECT id, xp, crates, current_perk_id FROM users WHERE guild_id = ?').all(guildId).map(row => [row.id, row]));
+            for (const userId of new Set([...balancesBefore.keys(), ...balancesAfter.keys()])) {
+                const before = balancesBefore.get(userId) || { xp: '0', crates: 0, current_perk_id: null };
+                const after = balancesAfter.get(userId) || { xp: '0', crates: 0, current_perk_id: null };
+                if (before.current_perk_id !== after.current_perk_id) {
+                    perkChanges.push({ userId, before: before.current_perk_id, after: after.current_perk_id });
+                }
+
+                const xp = BigInt(after.xp || '0') - BigInt(before.xp || '0');
+                const crates = after.crates - before.crates;
+                if (xp === 0n && crates === 0) continue;
+                recordTransaction(guildId, userId, 'restore', { xp, crates });
+                changed++;
+            }
+            return { changed, perkChanges };
+        })();
+    } finally {
+        db.exec('DETACH DATABASE backup');
+    }
+}
+
+/**
+ * Brings the perk roles of members in line with equipped perks a restore or reset changed
+ * in the database: the role of the perk they had is removed and the role of the new one granted.
+ * @param {Guild} guild 
+ * @param {{ userId: string, before: number | null, after: number | null }[]} perkChanges - From
+ *   restoreGuildFromBackup, or getPerksClearedByReset for a reset.
+ * @returns {Promise<void>}
+ */
+async function syncPerkRoles(guild, perkChanges) {
+    for (const { userId, before, after } of perkChanges) {
+        const oldPerk = before ? getPerk(guild.id, before) : null;
+        const newPerk = after ? getPerk(guild.id, after) : null;
+        // Only role perks are held on Discord
+        if (oldPerk?.effect_type !== 'role' && newPerk?.effect_type !== 'role') continue;
+
+        const member = await guild.members.fetch(userId).catch(() => null);
+        if (!member) continue;
+        await removePerkRole(member, oldPerk);
+        if (newPerk?.effect_type === 'role' && newPerk.role_id) {
+            try {
+                await member.roles.add(newPerk.role_id);
+            } catch (error) {
+                console.error(`Failed to grant perk role ${newPerk.role_id}:`, error);
+            }
+        }
+    }
+}
+
+// What /resetallboards can reset. `describe` says what is lost, given the member's mention or null for everyone.
+const RESET_SCOPES = {
+    all:    { label: 'Everything',  describe: target => target ? `all XP, crates, perks and streaks of ${target}` : 'ALL user XP, crates, perk inventories, streaks and perk counts' },
+    xp:     { label: 'XP only',     describe: target => `the XP and levels of ${target || 'everyone'}` },
+    crates: { label: 'Crates only', describe: target => `the unopened crates of ${target || 'everyone'}` },
+    perks:  { label: 'Perks only',  describe: target => target ? `the perk inventory and equipped perk of ${target}` : 'the perk board counts' },
+};
+
+/**
+ * Lists the equipped perks a reset is about to clear, so their roles can be taken back
+ * afterwards (see syncPerkRoles). Only 'all' and a member's 'perks' reset unequip perks.
+ * @param {string} guildId 
+ * @param {string} scope - A key of RESET_SCOPES.
+ * @param {string | null} [targetId] 
+ * @returns {{ userId: string, before: number, after: null }[]}
+ */
+function getPerksClearedByReset(guildId, scope, targetId = null) {
+    if (scope !== 'all' && !(scope === 'perks' && targetId)) return [];
+    return db.prepare(`
+        SELECT id AS userId, current_perk_id AS before, NULL AS after FROM users
+        WHERE guild_id = @guildId AND current_perk_id IS NOT NULL${targetId ? ' AND id = @targetId' : ''}
+    `).all({ guildId, targetId });
+}
+
+/**
+ * Resets part of a guild's data, for everyone or one member. What each member loses
+ * is written to the ledger first.
+ * @param {string} guildId 
+ * @param {string} scope - A key of RESET_SCOPES.
+ * @param {string | null} [targetId] - Only reset this member.
+ */
+const resetGuildData = db.transaction((guildId, scope, targetId = null) => {
+    // Every query below filters by guild and, for a single member, by their id
+    const userFilter = column => targetId ? ` AND ${column} = @targetId` : '';
+    const params = { guildId, targetId, now: Date.now() };
+    const run = sql => db.prepare(sql).run(params);
+
+    if (scope !== 'all' && (scope !== 'perks' || targetId)) {
+        // Listings holding what is reset go back to their sellers first, so it is reset
+        // like the rest. Listings of anything else stay up
+        const holdsResetItems = {
+            xp: items => BigInt(items.xp || '0') > 0n,
+            crates: items => items.crates > 0,
+            perks: items => !!items.perkId,
+        }[scope];
+        for (const { id } of db.prepare(`SELECT id FROM market_listings WHERE guild_id = @guildId AND status = 'active'${userFilter('seller_id')}`).all(params)) {
+            const listing = getListing(guildId, id);
+            if (holdsResetItems(listing.items)) returnListing(listing, 'cancelled');
+        }
+    }
+
+    if (scope !== 'perks') {
+        for (const user of db.prepare(`SELECT id, xp, crates FROM users WHERE guild_id = @guildId${userFilter('id')}`).all(params)) {
+            recordTransaction(guildId, user.id, 'reset', {
+                xp: scope === 'crates' ? 0n : -BigInt(user.xp || '0'),
+                crates: scope === 'xp' ? 0 : -user.crates,
+            });
+        }
+    }
+
+    if (scope === 'all') {
+        // Deleting the user rows resets everything at once. Listed items and open
+        // offers go with everything else; their history stays
+        for (const table of ['inventory', 'period_xp', 'crate_pity', 'daily_claims']) {
+            run(`DELETE FROM ${table} WHERE guild_id = @guildId${userFilter('user_id')}`);
+        }
+        run(`DELETE FROM users WHERE guild_id = @guildId${userFilter('id')}`);
+        if (!targetId) run('UPDATE perks SET obtained = 0 WHERE guild_id = @guildId');
+        run(`UPDATE market_listings SET status = 'cancelled', closed_at = @now WHERE guild_id = @guildId AND status = 'active'${userFilter('seller_id')}`);
+        run(`
+            UPDATE trades SET status = 'withdrawn', closed_at = @now WHERE guild_id = @guildId AND status = 'pending'
+            ${targetId ? 'AND (from_id = @targetId OR to_id = @targetId)' : ''}
+        `);
+    } else if (scope === 'xp') {
+        // Levels start over too, and are rewarded again when reached
+        run(`UPDATE users SET xp = '0', highest_level = 0 WHERE guild_id = @guildId${userFilter('id')}`);
+        run(`DELETE FROM period_xp WHERE guild_id = @guildId${userFilter('user_id')}`);
+    } else if (scope === 'crates') {
+        run(`UPDATE users SET crates = 0 WHERE guild_id = @guildId${userFilter('id')}`);
+    } else if (targetId) {
+        run('DELETE FROM inventory WHERE guild_id = @guildId AND user_id = @targetId');
+        run('UPDATE users SET current_perk_id = NULL, perk_equipped_at = NULL, perk_expires_at = NULL WHERE guild_id = @guildId AND id = @targetId');
+    } else {
+        run('UPDATE perks SET obtained = 0 WHERE guild_id = @guildId');
+    }
+});
+
+// --- Guild Configuration (/config) ---
+
+/**
+ * Parses a duration for /config. Besides what parseDuration reads, it takes seconds ("30s") and "0".
+ * @param {string} text 
+ * @returns {number | null} The duration in ms, or null if the text isn't a valid duration.
+ */
+function parseConfigDuration(text) {
+    const normalized = text.trim().toLowerCase();
+    if (normalized === '0') return 0;
+    const seconds = normalized.match(/^(\d+)s$/);
+    if (seconds) return Number(seconds[1]) * 1000;
+    return parseDuration(normalized);
+}
+
+/**
+ * Formats a duration the way parseConfigDuration reads it.
+ * @param {number} ms 
+ * @returns {string}
+ */
+function formatConfigDuration(ms) {
+    if (ms === 0) return '0';
+    return ms % DURATION_UNITS.m === 0 ? formatDuration(ms) : `${ms / 1000}s`;
+}
+
+/**
+ * Finds a channel or role of the guild from an ID or a mention.
+ * @param {Collection} cache - guild.channels.cache or guild.roles.cache.
+ * @param {string} text 
+ * @returns {object | undefined}
+ */
+function findGuildMention(cache, text) {
+    const id = text.trim().replace(/^<[#@]&?(\d+)>$/, '$1');
+    return /^\d+$/.test(id) ? cache.get(id) : undefined;
+}
+
+// How each kind of setting is read from /config input, shown and used. parse returns the
+// value to store and throws an Error with a message for the moderator if the input is invalid.
+// export is what /config export writes; /config import reads it back with parse.
+const CONFIG_TYPES = {
+    integer: {
+        parse: (text, { min = 0, max = Number.MAX_SAFE_INTEGER }) => {
+            // Only plain digits: Number() would also take '' as 0, '1e3' and '0x10'
+            const digits = text.trim().replace(/[,_]/g, '');
+            const value = /^\d+$/.test(digits) ? Number(digits) : NaN;
+            if (!Number.isSafeInteger(value) || value < min || value > max) {
+                throw new Error(`Must be a whole number from ${min.toLocaleString()} to ${max.toLocaleString()}.`);
+            }
+            return String(value);
+        },
+        format: value => Number(value).toLocaleString(),
+        read: Number,
+    },
+    number: {
+        parse: (text, { min = 0, max = Number.MAX_SAFE_INTEGER }) => {
+            const value = Number(text.trim());
+            if (!Number.isFinite(value) || value < min || value > max) {
+                throw new Error(`Must be a number from ${min} to ${max}.`);
+            }
+            return String(value);
+        },
+        format: value => value,
+        read: Number,
+    },
+    duration: {
+        parse: (text, { min = 0, max }) => {
+            const ms = parseConfigDuration(text);
+            if (ms === null || ms < min || ms > max) {
+                throw new Error(`Must be a duration from ${formatConfigDuration(min)} to ${formatConfigDuration(max)}, e.g. 30s, 5m or 1h.`);
+            }
+            return String(ms);
+        },
+        format: value => formatConfigDuration(Number(value)),
+        read: Number,
+        export: value => formatConfigDuration(Number(value)),
+    },
+    boolean: {
+        parse: text => {
+            if (/^(on|true|yes|1)$/i.test(text.trim())) return '1';
+            if (/^(off|false|no|0)$/i.test(text.trim())) return '0';
+            throw new Error('Must be on or off.');
+        },
+        format: value => value === '1' ? 'on' : 'off',
+        read: value => value === '1',
+    },
+    choice: {
+        parse: (text, { choices }) => {
+            const value = text.trim().toLowerCase();
+            if (!Object.hasOwn(choices(), value)) throw new Error(`Must be one of: ${Object.keys(choices()).join(', ')}.`);
+            return value;
+        },
+        format: value => value,
+        read: value => value,
+    },
+    timezone: {
+        parse: text => {
+            if (!isValidTimeZone(text.trim())) throw new Error('Must be a timezone like `Europe/Berlin`, `America/New_York` or `UTC`.');
+            return text.trim();
+        },
+        format: value => value,
+        read: value => value,
+    },
+    color: {
+        parse: text => {
+            if (!/^#?[0-9a-f]{6}$/i.test(text.trim())) throw new Error('Must be a hex code like `#FF8800`.');
+            return `#${text.trim().replace('#', '').toUpperCase()}`;
+        },
+        format: value => value,
+        read: value => value,
+    },
+    channel: {
+        parse: (text, options, guild) => {
+            const channel = findGuildMention(guild.channels.cache, text);
+            if (!channel || !channel.isTextBased()) throw new Error('Must be a text channel of this server.');
+            return channel.id;
+        },
+        format: value => `<#${value}>`,
+        read: value => value,
+    },
+    role: {
+        parse: (text, options, guild) => {
+            const role = findGuildMention(guild.roles.cache, text);
+            if (!role) throw new Error('Must be a role of this server.');
+            return role.id;
+        },
+        format: value => `<@&${value}>`,
+        read: value => value,
+    },
+};
+
+// Every setting /config can change, by its key in the settings table. Defaults are in
+// GUILD_SETTING_DEFAULTS. onChange runs after the value changed, to apply it right away.
+const CONFIG_KEYS = {
+    xp_per_message:          { type: 'integer', max: 1000000, description: 'XP for each message that passes the XP filters.' },
+    xp_cooldown_ms:          { type: 'duration', max: 3600000, description: 'Minimum time between two XP-earning messages of one member.' },
+    xp_min_length:           { type: 'integer', max: 500, description: 'Shorter messages earn no XP.' },
+    xp_duplicate_history:    { type: 'integer', max: 50, description: 'Repeating one of your last N messages earns no XP (0 = off).' },
+    voice_xp_per_minute:     { type: 'integer', max: 1000000, description: 'XP for each minute in voice with others, unmuted and undeafened (0 = off).' },
+    crate_cost:              { type: 'integer', min: 1, description: 'The XP price of one crate.' },
+    give_xp_cooldown_ms:     { type: 'duration', max: 86400000, description: 'Minimum time between two /givexp of one member.' },
+    max_give_xp:             { type: 'integer', min: 1, description: 'The most XP one /givexp can send.' },
+    leaderboard_channel_id:  {
+        type: 'channel',
+        description: 'The channel of the live XP leaderboard.',
+        onChange: (client, guildId) => {
+            // The old message lives in the old channel, so start a fresh one
+            setLiveMessageId(guildId, 'leaderboard', null);
+            return sendGuildLeaderboard(client, guildId);
+        },
+    },
+    leaderboard_interval_ms: {
+        type: 'duration',
+        min: 60000,
+        max: 86400000,
+        description: 'How often the live XP leaderboard is updated.',
+        onChange: (client, guildId) => scheduleGuildLeaderboard(client, guildId),
+    },
+    level_up_channel_id:     { type: 'channel', description: 'The channel for level-up announcements (not set = none).' },
+    mod_log_channel_id:      { type: 'channel', description: 'The channel where moderator economy actions are posted.' },
+    level_curve_base:        { type: 'integer', min: 1, description: 'Level curve: the total XP needed for level 1.' },
+    level_curve_exponent:    { type: 'number', min: 1, max: 5, description: 'Level curve: how much steeper each level gets.' },
+    card_theme:              { type: 'choice', choices: () => CARD_THEMES, description: 'The colors of rank cards and leaderboard images.' },
+    card_accent_color:       { type: 'color', description: 'Accent color of the images (not set = the theme\'s).' },
+    timezone:                { type: 'timezone', description: 'The timezone in which /daily days start.' },
+    season_reward_crates:    { type: 'integer', max: 100, description: 'Crates for each rewarded place of a finished week/month (0 = off).' },
+    season_reward_places:    { type: 'integer', min: 1, max: HALL_OF_FAME_SIZE, description: 'How many of the top places get the crates.' },
+    season_winner_role_id:   { type: 'role', description: 'The role held by the latest winner of a week or month.' },
+    pity_threshold:          { type: 'integer', max: 1000, description: 'Crates in a row below the pity rarity before it is guaranteed (0 = off).' },
+    pity_min_rarity:         { type: 'choice', choices: () => RARITY_TIERS, description: 'The rarity pity guarantees; better tiers count too.' },
+    daily_xp:                { type: 'integer', description: '/daily XP on the first day of a streak.' },
+    daily_streak_bonus:      { type: 'integer', description: 'Extra /daily XP for each further day of a streak.' },
+    daily_streak_cap:        { type: 'integer', max: 3650, description: 'How many streak days still raise the bonus.' },
+    daily_crate_every:       { type: 'integer', max: 365, description: 'A crate on every Nth day of a streak (0 = off).' },
+    daily_grace:             { type: 'boolean', description: 'Whether each streak survives one missed day.' },
+};
+
+/**
+ * Reads a /config setting as its type: a number, a boolean or a string. Unset settings without a default are null.
+ * @param {string} guildId 
+ * @param {string} key - A key of CONFIG_KEYS.
+ * @returns {number | boolean | string | null}
+ */
+function getGuildConfig(guildId, key) {
+    const value = getGuildSetting(guildId, key);
+    return value === null ? null : CONFIG_TYPES[CONFIG_KEYS[key].type].read(value);
+}
+
+/**
+ * Checks a value for a /config setting and converts it to the stored form.
+ * @param {Guild} guild 
+ * @param {string} key - A key of CONFIG_KEYS.
+ * @param {string} text 
+ * @returns {string}
+ * @throws {Error} With a message for the moderator if the value is invalid.
+ */
+function parseConfigValue(guild, key, text) {
+    const config = CONFIG_KEYS[key];
+    return CONFIG_TYPES[config.type].parse(text, config, guild);
+}
+
+/**
+ * Shows the value of a /config setting, e.g. "2m" or "#leaderboard".
+ * @param {string} key 
+ * @param {string | null} value - The stored value.
+ * @returns {string}
+ */
+function formatConfigValue(key, value) {
+    return value === null ? '*Not set*' : CONFIG_TYPES[CONFIG_KEYS[key].type].format(value);
+}
+
+/**
+ * Builds the data of /config export: every /config setting as /config set takes it, null if unset.
+ * @param {string} guildId 
+ * @returns {{version: number, settings: object}}
+ */
+function exportGuildConfig(guildId) {
+    const settings = {};
+    for (const [key, { type }] of Object.entries(CONFIG_KEYS)) {
+        const value = getGuildSetting(guildId, key);
+        const { export: exportValue = CONFIG_TYPES[type].read } = CONFIG_TYPES[type];
+        settings[key] = value === null ? null : exportValue(value);
+    }
+    return { version: 1, settings };
+}
+
+/**
+ * Checks and stores /config settings. This is the one way commands change them: every value
+ * is checked first, so one invalid value changes nothing. Run applyConfigChanges afterwards.
+ * @param {Guild} guild 
+ * @param {object} values - The input text by key of CONFIG_KEYS; null resets a setting to its default.
+ * @returns {string[]} The keys whose value changed.
+ * @throws {Error} With a message for the moderator if a value is invalid.
+ */
+function setGuildConfig(guild, values) {
+    const updates = Object.entries(values).map(([key, text]) => {
+        if (text === null) return [key, null];
+        try {
+            return [key, parseConfigValue(guild, key, String(text))];
+        } catch (error) {
+            throw new Error(`Invalid value for **${key}**. ${error.message}`);
+        }
+    });
+
+    const changed = updates.filter(([key, value]) => getGuildSetting(guild.id, key) !== (value ?? GUILD_SETTING_DEFAULTS[key] ?? null));
+    db.transaction(() => {
+        for (const [key, value] of changed) setGuildSetting(guild.id, key, value);
+    })();
+    return changed.map(([key]) => key);
+}
+
+/**
+ * Applies changed settings that need more than a new stored value, e.g. restarting the leaderboard timer.
+ * @param {Client} client 
+ * @param {string} guildId 
+ * @param {string[]} keys - From setGuildConfig.
+ * @returns {Promise<void>}
+ */
+async function applyConfigChanges(client, guildId, keys) {
+    for (const key of keys) {
+        await CONFIG_KEYS[key].onChange?.(client, guildId);
+    }
+}
+
+/**
+ * Applies the data of a /config export through setGuildConfig, so an invalid file changes
+ * nothing. Channels and roles that don't exist in this server are skipped.
+ * @param {Guild} guild 
+ * @param {object} data 
+ * @returns {{changed: string[], skipped: string[]}} The keys that changed and the ones skipped.
+ * @throws {Error} With a message for the moderator if the data is invalid.
+ */
+function importGuildConfig(guild, data) {
+    if (!data || typeof data.settings !== 'object' || data.settings === null) {
+        throw new Error('This file is not a `/config export`.');
+    }
+    const unknownKeys = Object.keys(data.settings).filter(key => !Object.hasOwn(CONFIG_KEYS, key));
+    if (unknownKeys.length > 0) throw new Error(`Unknown setting(s): ${unknownKeys.join(', ')}.`);
+
+    const values = {};
+    const skipped = [];
+    for (const [key, value] of Object.entries(data.settings)) {
+        // IDs of another server can't be used here, but shouldn't stop the rest
+        if (value !== null && ['channel', 'role'].includes(CONFIG_KEYS[key].type)) {
+            try {
+                parseConfigValue(guild, key, String(value));
+            } catch {
+                skipped.push(key);
+                continue;
+            }
+        }
+        values[key] = value;
+    }
+    return { changed: setGuildConfig(guild, values), skipped };
+}
+
+// --- Live Board Messages ---
+
+// Per `${guildId}:${boardKey}`: the signature of the last posted content and the rate limit backoff
+const liveMessageState = new Map();
+
+/**
+ * Gets the ID of the message a live board keeps editing. The XP leaderboard uses the
+ * board key 'leaderboard'.
+ * @param {string} guildId 
+ * @param {string} boardKey 
+ * @returns {string | null}
+ */
+function getLiveMessageId(guildId, boardKey) {
+    return getGuildSetting(guildId, `${boardKey}_message_id`);
+}
+
+/**
+ * Stores the message of a live board. Passing null makes the next update post a new message.
+ * @param {string} guildId 
+ * @param {string} boardKey 
+ * @param {string | null} messageId 
+ */
+function setLiveMessageId(guildId, boardKey, messageId) {
+    setGuildSetting(guildId, `${boardKey}_message_id`, messageId);
+    liveMessageState.delete(`${guildId}:${boardKey}`);
+}
+
+function isRateLimitError(error) {
+    return error instanceof RateLimitError || error?.status === 429;
+}
+
+/**
+ * Posts or edits the message of a live board. Nothing is rendered or sent while the data
+ * behind the board is unchanged, and after a rate limit the board pauses with a growing backoff.
+ * @param {Client} client 
+ * @param {object} options 
+ * @param {string} options.guildId 
+ * @param {string} options.boardKey - Names the board, see getLiveMessageId.
+ * @param {string} options.channelId 
+ * @param {string} options.signature - Changes whenever the rendered message would change.
+ * @param {() => Promise<object>} options.render - Builds the message content and files.
+ * @param {boolean} [options.force] - Update even if the signature is unchanged.
+ * @returns {Promise<'sent' | 'edited' | 'unchanged' | 'backoff' | 'failed'>}
+ */
+async function updateLiveMessage(client, { guildId, boardKey, channelId, signature, render, force = false }) {
+    const stateKey = `${guildId}:${boardKey}`;
+    const state = liveMessageState.get(stateKey) || { signature: null, backoffMs: 0, retryAt: 0 };
+    if (Date.now() < state.retryAt) return 'backoff';
+
+    const messageId = getLiveMessageId(guildId, boardKey);
+    if (!force && messageId && state.signature === signature) return 'unchanged';
+
+    const channel = client.channels.cache.get(channelId);
+    if (!channel || !channel.isTextBased()) {
+        console.error(`ERROR: ${boardKey} channel ID ${channelId} of guild ${guildId} is invalid or not a text channel.`);
+        return 'failed';
+    }
+
+    try {
+        const payload = await render();
+        let message = null;
+        if (messageId) {
+            message = await channel.messages.fetch(messageId).catch(error => {
+                if (error.code === RESTJSONErrorCodes.UnknownMessage) return null;
+                throw error;
+            });
+        }
+
+        let result;
+        if (message) {
+            // attachments: [] replaces the old images instead of adding to them
+            await message.edit({ ...payload, attachments: [], embeds: [], components: [] });
+            result = 'edited';
+        } else {
+            if (messageId) console.log(`Could not find ${boardKey} message ID ${messageId} in guild ${guildId}. Sending new message.`);
+            message = await channel.send(payload);
+            setLiveMessageId(guildId, boardKey, message.id);
+            result = 'sent';
+        }
+        liveMessageState.set(stateKey, { signature, backoffMs: 0, retryAt: 0 });
+        return result;
+
+    } catch (error) {
+        if (!isRateLimitError(error)) {
+            console.error(`Failed to update the ${boardKey} message of guild ${guildId}:`, error);
+            return 'failed';
+        }
+        const retryAfter = error.retryAfter ?? error.timeToReset ?? 0;
+        const backoffMs = Math.min(Math.max(state.backoffMs * 2, retryAfter, LIVE_MESSAGE_MIN_BACKOFF_MS), LIVE_MESSAGE_MAX_BACKOFF_MS);
+        liveMessageState.set(stateKey, { ...state, backoffMs, retryAt: Date.now() + backoffMs });
+        console.warn(`Rate limited while updating the ${boardKey} message of guild ${guildId}. Pausing it for ${Math.round(backoffMs / 1000)}s.`);
+        return 'backoff';
+    }
+}
+
+
+// --- Pending Actions (Confirmation Buttons) ---
+
+/**
+ * Stores an action that waits for a button press and returns its token. Buttons for the
+ * action use the custom ID `ACTION_<token>_<choice>` (see actionButtonId).
+ * @param {string} guildId 
+ * @param {string} userId - The user who started the action; nobody else can complete it.
+ * @param {string} type - What the action does, e.g. 'buy_crate'.
+ * @param {object} payload - Everything the button handler needs, stored as JSON.
+ * @param {number} [ttlMs] 
+ * @returns {string} The token.
+ */
+function createPendingAction(guildId, userId, type, payload, ttlMs = PENDING_ACTION_TTL_MS) {
+    const now = Date.now();
+    db.prepare('DELETE FROM pending_actions WHERE expires_at <= ?').run(now);
+
+    const token = crypto.randomBytes(12).toString('hex');
+    db.prepare(`
+        INSERT INTO pending_actions (token, guild_id, user_id, type, payload, expires_at) VALUES (?, ?, ?, ?, ?, ?)
+    `).run(token, guildId, userId, type, JSON.stringify(payload), now + ttlMs);
+    return token;
+}
+
+function actionButtonId(token, choice) {
+    return `ACTION_${token}_${choice}`;
+}
+
+/**
+ * Takes a pending action out of the store, so every action runs at most once.
+ * Actions belonging to someone else are left untouched.
+ * @param {string} token 
+ * @param {string} guildId 
+ * @param {string} userId - The user who pressed the button.
+ * @returns {{status: 'ok', action: {type: string, payload: object}} | {status: 'missing' | 'expired' | 'not_owner'}}
+ */
+function consumePendingAction(token, guildId, userId) {
+    const row = db.prepare('SELECT user_id FROM pending_actions WHERE token = ? AND guild_id = ?').get(token, guildId);
+    if (!row) return { status: 'missing' };
+    if (row.user_id !== userId) return { status: 'not_owner' };
+
+    const action = db.prepare('DELETE FROM pending_actions WHERE token = ? RETURNING type, payload, expires_at').get(token);
+    if (!action) return { status: 'missing' }; // Consumed in the meantime
+    if (action.expires_at <= Date.now()) return { status: 'expired' };
+
+    return { status: 'ok', action: { type: action.type, payload: JSON.parse(action.payload) } };
+}
+
+
+// --- Permissions ---
+
+// Commands only moderators may run. They are also registered with default member permissions,
+// but servers can override those, so they are checked again at runtime.
+const MOD_COMMANDS = new Set(['resetallboards', 'setup', 'perkadmin', 'modroles', 'xpfilter', 'levelreward', 'seasonrewards', 'dailyrewards', 'backup', 'xpadmin', 'crateadmin', 'modlog', 'config', 'xpmultiplier']);
+// Subcommands only moderators may run, as 'command subcommand', of commands members can use.
+const MOD_SUBCOMMANDS = new Set(['leaderboard refresh', 'event start', 'event stop']);
+// Pending action types that carry out moderator actions. Checked again when the button is pressed.
+const MOD_ACTIONS = new Set(['reset_all', 'restore_backup']);
+
+/**
+ * Gets the roles configured with /modroles for a guild.
+ * @param {string} guildId 
+ * @returns {string[]} Role IDs.
+ */
+function getModRoleIds(guildId) {
+    return getGuildListSetting(guildId, 'mod_role_ids');
+}
+
+function setModRoleIds(guildId, roleIds) {
+    setGuildListSetting(guildId, 'mod_role_ids', roleIds);
+}
+
+/**
+ * Checks whether the member behind an interaction counts as a moderator: anyone with
+ * Manage Server, plus members with one of the configured moderator roles.
+ * @param {Interaction} interaction 
+ * @returns {boolean}
+ */
+function isModerator(interaction) {
+    if (interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild)) return true;
+
+    const modRoleIds = getModRoleIds(interaction.guildId);
+    if (modRoleIds.length === 0) return false;
+
+    // Uncached members arrive as raw API data with a plain array of role IDs
+    const memberRoles = interaction.member.roles;
+    const roleIds = Array.isArray(memberRoles) ? memberRoles : [...memberRoles.cache.keys()];
+    return roleIds.some(roleId => modRoleIds.includes(roleId));
+}
+
+/**
+ * Logs an attempt to use a moderator action without permission.
+ * @param {Interaction} interaction 
+ * @param {string} action - The command or button that was denied.
+ */
+function logDeniedAttempt(interaction, action) {
+    console.warn(`Permission denied: ${interaction.user.tag} (${interaction.user.id}) tried '${action}' in guild ${interaction.guildId}.`);
+}
+
+
+// --- Moderator Tools & Audit Log ---
+
+const MOD_LOG_PAGE_SIZE = 15;
+
+// Display labels for every action written to the moderator audit log.
+const MOD_AUDIT_ACTIONS = {
+    xp_add:        'Added XP',
+    xp_remove:     'Removed XP',
+    xp_set:        'Set XP',
+    crates_add:    'Added crates',
+    crates_remove: 'Removed crates',
+    crates_set:    'Set crates',
+    perk_equip:    'Force-equipped a perk',
+    perk_strip:    'Stripped a perk',
+};
+
+/**
+ * Changes a member's XP or crates. Removing more than they have leaves them at zero.
+ * The change is written to the ledger as a grant or a revoke.
+ * @param {string} guildId 
+ * @param {string} userId 
+ * @param {'xp' | 'crates'} balance 
+ * @param {'add' | 'remove' | 'set'} mode 
+ * @param {BigInt} amount 
+ * @returns {{before: BigInt, after: BigInt}}
+ */
+const adjustBalance = db.transaction((guildId, userId, balance, mode, amount) => {
+    const userData = getUserData(guildId, userId);
+    const before = balance === 'xp' ? userData.xp : BigInt(userData.crates);
+    let after = mode === 'add' ? before + amount : mode === 'remove' ? before - amount : amount;
+    if (after < 0n) after = 0n;
+
+    if (balance === 'xp') {
+        db.prepare('UPDATE users SET xp = ? WHERE guild_id = ? AND id = ?').run(after.toString(), guildId, userId);
+    } else {
+        db.prepare('UPDATE users SET crates = ? WHERE guild_id = ? AND id = ?').run(Number(after), guildId, userId);
+    }
+
+    const change = after - before;
+    if (change !== 0n) {
+        recordTransaction(guildId, userId, change > 0n ? 'grant' : 'revoke', balance === 'xp' ? { xp: change } : { crates: Number(change) });
+    }
+    return { before, after };
+});
+
+/**
+ * Writes a moderator action to the audit log and posts it to the mod-log channel, if one is set.
+ * @param {Interaction} interaction - The moderator's command.
+ * @param {string} targetId - The member the action was taken on.
+ * @param {string} action - A key of MOD_AUDIT_ACTIONS.
+ * @param {string} details - What changed, e.g. "1,000 → 2,500 XP".
+ * @param {string} reason 
+ * @returns {Promise<void>}
+ */
+async function logModAction(interaction, targetId, action, details, reason) {
+    const { guildId } = interaction;
+    db.prepare(`
+        INSERT INTO mod_audit_log (guild_id, moderator_id, target_id, action, details, reason, created_at) VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(guildId, interaction.user.id, targetId, action, details, reason, Date.now());
+
+    const channelId = getGuildSetting(guildId, 'mod_log_channel_id');
+    if (!channelId) return; // The audit log is still kept without a channel
+
+    const channel = interaction.guild.channels.cache.get(channelId);
+    if (!channel || !channel.isTextBased()) {
+        console.error(`ERROR: Mod-log channel ID ${channelId} of guild ${guildId} is invalid or not a text channel.`);
+        return;
+    }
+    const logEmbed = new EmbedBuilder()
+        .setColor(0xE67E22)
+        .setTitle(`🛡️ ${MOD_AUDIT_ACTIONS[action]}`)
+        .addFields(
+            { name: 'Member', value: `<@${targetId}>`, inline: true },
+            { name: 'Moderator', value: `<@${interaction.user.id}>`, inline: true },
+            { name: 'Change', value: details },
+            { name: 'Reason', value: reason },
+        )
+        .setTimestamp();
+    await channel.send({ embeds: [logEmbed], allowedMentions: { parse: [] } })
+        .catch(error => console.error(`Failed to post to the mod-log channel of guild ${guildId}:`, error));
+}
+
+/**
+ * Gets the newest entries of a guild's audit log.
+ * @param {string} guildId 
+ * @param {string | null} targetId - Only entries about this member.
+ * @returns {object[]} mod_audit_log rows, newest first.
+ */
+function getModAuditLog(guildId, targetId = null) {
+    return db.prepare(`
+        SELECT * FROM mod_audit_log WHERE guild_id = @guildId ${targetId ? 'AND target_id = @targetId' : ''}
+        ORDER BY id DESC LIMIT @limit
+    `).all({ guildId, targetId, limit: MOD_LOG_PAGE_SIZE });
+}
+
+
+// --- Image Generation (Canvas Functions) ---
+
+// Color sets for every generated image. A guild picks one with /setup and can
+// override its accent color.
+const CARD_THEMES = {
+    dark:     { label: 'Dark',     background: '#2C2F33', rowEven: '#36393F', rowOdd: '#40444B', text: '#FFFFFF', mutedText: '#B9BBBE', accent: '#7289DA', track: '#23272A', progress: '#57F287' },
+    light:    { label: 'Light',    background: '#F2F3F5', rowEven: '#FFFFFF', rowOdd: '#E3E5E8', text: '#2E3338', mutedText: '#5C5E66', accent: '#5865F2', track: '#D4D7DC', progress: '#3BA55D' },
+    midnight: { label: 'Midnight', background: '#0F1024', rowEven: '#1A1B3A', rowOdd: '#22244A', text: '#E6E6FA', mutedText: '#9A9CC9', accent: '#B388FF', track: '#0A0A18', progress: '#00E5FF' },
+};
+
+// Badge colors of the equipped perk on the rank card, by effect type
+const PERK_BADGE_COLORS = { xp_boost: '#FFD700', role: '#9B59B6' };
+
+/**
+ * Gets the image theme of a guild, with its accent override applied.
+ * @param {string} guildId 
+ * @returns {object} One of CARD_THEMES.
+ */
+function getGuildTheme(guildId) {
+    const theme = CARD_THEMES[getGuildSetting(guildId, 'card_theme')] || CARD_THEMES.dark;
+    const accent = getGuildSetting(guildId, 'card_accent_color');
+    return accent ? { ...theme, accent } : theme;
+}
+
+// Decoded avatars keyed by `${userId}:${avatarHash}:${size}`. A new avatar has a new hash,
+// so entries never go stale; the oldest are dropped past AVATAR_CACHE_MAX.
+const avatarCache = new Map();
+
+/**
+ * Loads a user's avatar, downloading it only the first time it's drawn.
+ * @param {User} user 
+ * @param {number} size - Requested from the CDN; a power of two from 16 to 4096.
+ * @returns {Promise<Image>}
+ */
+async function loadAvatar(user, size) {
+    const key = `${user.id}:${user.avatar ?? 'default'}:${size}`;
+    const cached = avatarCache.get(key);
+    if (cached) return cached;
+
+    const image = await loadImage(user.displayAvatarURL({ extension: 'png', size }));
+    if (avatarCache.size >= AVATAR_CACHE_MAX) {
+        avatarCache.delete(avatarCache.keys().next().value);
+    }
+    avatarCache.set(key, image);
+    return image;
+}
+
+/**
+ * Draws an avatar clipped to a circle, or a placeholder square if it can't be loaded.
+ * @param {SKRSContext2D} ctx 
+ * @param {User | null} user - null draws the placeholder.
+ * @param {number} x 
+ * @param {number} y 
+ * @param {number} size 
+ * @param {object} theme 
+ */
+async function drawAvatar(ctx, user, x, y, size, theme) {
+    if (user) {
+        try {
+            const avatar = await loadAvatar(user, size > 128 ? 256 : 128);
+            ctx.save();
+            ctx.beginPath();
+            ctx.arc(x + size / 2, y + size / 2, size / 2, 0, Math.PI * 2, true);
+            ctx.closePath();
+            ctx.clip();
+            ctx.drawImage(avatar, x, y, size, size); 
+            ctx.restore();
+            return;
+        } catch (error) {
+            console.error(`Failed to load avatar of ${user.username}:`, error);
+        }
+    }
+    ctx.fillStyle = theme.accent;
+    ctx.fillRect(x, y, size, size);
+}
+
+/**
+ * Draws a horizontal progress bar.
+ * @param {SKRSContext2D} ctx 
+ * @param {number} x 
+ * @param {number} y 
+ * @param {number} width 
+ * @param {number} height 
+ * @param {number} percent - 0 to 100.
+ * @param {object} theme 
+ */
+function drawProgressBar(ctx, x, y, width, height, percent, theme) {
+    const radius = height / 2;
+    ctx.fillStyle = theme.track;
+    ctx.beginPath();
+    ctx.roundRect(x, y, width, height, radius);
+    ctx.fill();
+
+    const filled = width * Math.min(Math.max(percent, 0), 100) / 100;
+    if (filled > 0) {
+        ctx.fillStyle = theme.progress;
+        ctx.beginPath();
+        ctx.roundRect(x, y, Math.max(filled, height), height, radius);
+        ctx.fill();
+    }
+}
+
+/**
+ * Draws a pill-shaped label and returns its width.
+ * @param {SKRSContext2D} ctx 
+ * @param {string} text 
+ * @param {number} x 
+ * @param {number} y - Top edge.
+ * @param {string} color - Background color.
+ * @param {string} textColor 
+ * @returns {number}
+ */
+function drawBadge(ctx, text, x, y, color, textColor) {
+    const HEIGHT = 30;
+    const PADDING_X = 14;
+    ctx.font = 'bold 18px sans-serif';
+    const width = ctx.measureText(text).width + PADDING_X * 2;
+
+    ctx.fillStyle = color;
+    ctx.beginPath();
+    ctx.roundRect(x, y, width, HEIGHT, HEIGHT / 2);
+    ctx.fill();
+
+    ctx.fillStyle = textColor;
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(text, x + PADDING_X, y + HEIGHT / 2 + 1);
+    ctx.textBaseline = 'alphabetic';
+    return width;
+}
+
+/**
+ * Fills the background of a leaderboard image and draws its centered title.
+ * @param {SKRSContext2D} ctx 
+ * @param {number} width 
+ * @param {number} height 
+ * @param {string} title 
+ * @param {object} theme 
+ */
+function drawBoardFrame(ctx, width, height, title, theme) {
+    ctx.fillStyle = theme.background; 
+    ctx.fillRect(0, 0, width, height);
+
+    ctx.fillStyle = theme.text;
+    ctx.font = 'bold 36px sans-serif';
+    ctx.textAlign = 'center';
+    ctx.fillText(title, width / 2, 50);
+    ctx.textAlign = 'left';
+}
+
+/**
+ * Renders rows of the XP leaderboard.
+ * @param {{id: string, xp: string, value?: number}[]} topUsers - users rows in board order.
+ * @param {Client} client 
+ * @param {string} guildId 
+ * @param {{title?: string, startRank?: number, formatValue?: (user: object) => string}} [options] - 
+ *   For later pages and other sort orders. formatValue replaces the level and XP text on the right.
+ * @returns {Promise<AttachmentBuilder>}
+ */
+async function createXPLeaderboardImage(topUsers, client, guildId, { title = '🏆 Top XP Earners 🏆', startRank = 1, formatValue = null } = {}) {
+    const AVATAR_SIZE = 40; 
+    const PADDING_LEFT = 20; 
+    const NAME_START_X = PADDING_LEFT + AVATAR_SIZE + 10; 
+    const XP_TEXT_RIGHT_PADDING = 20; 
+
+    const theme = getGuildTheme(guildId);
+    const width = 650; 
+    const height = 80 + topUsers.length * 60;
+    const canvas = createCanvas(width, height);
+    const ctx = canvas.getContext('2d');
+
+    drawBoardFrame(ctx, width, height, title, theme);
+
+    for (let i = 0; i < topUsers.length; i++) {
+        const user = topUsers[i];
+        // Ensure user.xp is converted to BigInt for sorting safety, then to string for display
+        const userXP = BigInt(user.xp || '0'); 
+        const levelInfo = getLevelInfo(guildId, userXP);
+        const discordUser = await client.users.fetch(user.id).catch(() => null);
+        const name = discordUser ? discordUser.username : `User ID: ${user.id}`;
+        const rank = startRank + i;
+
+        const y = 100 + i * 60; 
+        const textY = y + AVATAR_SIZE / 2 - 5; 
+
+        ctx.fillStyle = i % 2 === 0 ? theme.rowEven : theme.rowOdd;
+        ctx.fillRect(0, y - AVATAR_SIZE / 2 - 5, width, AVATAR_SIZE + 10);
+
+        // Members without a custom avatar get the placeholder
+        await drawAvatar(ctx, discordUser && discordUser.avatar ? discordUser : null, PADDING_LEFT, y, AVATAR_SIZE, theme);
+
+        ctx.fillStyle = theme.text;
+        ctx.font = '24px sans-serif';
+        ctx.fillText(`${rank}. ${name}`, NAME_START_X, textY);
+
+        // Progress to the next level, under the name
+        drawProgressBar(ctx, NAME_START_X, y + AVATAR_SIZE - 6, 200, 4, levelInfo.percent, theme);
+
+        ctx.textAlign = 'right';
+        ctx.fillStyle = theme.accent; 
+        ctx.font = 'bold 24px sans-serif';
+        // Use .toLocaleString() on the BigInt for proper comma formatting
+        const valueText = formatValue ? formatValue(user) : `Lv ${levelInfo.level} • ${userXP.toLocaleString()} XP`;
+        ctx.fillText(valueText, width - XP_TEXT_RIGHT_PADDING, textY);
+        ctx.textAlign = 'left'; 
+    }
+
+    const attachment = new AttachmentBuilder(canvas.toBuffer('image/png'), { name: 'xp-leaderboard.png' });
+    return attachment;
+}
+
+function createPerkLeaderboardImage(topPerks, guildId) {
+    const theme = getGuildTheme(guildId);
+    const width = 650;
+    const height = 80 + topPerks.length * 60;
+    const canvas = createCanvas(width, height);
+    const ctx = canvas.getContext('2d');
+
+    drawBoardFrame(ctx, width, height, '💎 Top Perks Obtained 💎', theme);
+
+    for (let i = 0; i < topPerks.length; i++) {
+        const perk = topPerks[i];
+        const rank = i + 1;
+        const y = 100 + i * 60;
+        
+        ctx.fillStyle = i % 2 === 0 ? theme.rowEven : theme.rowOdd;
+        ctx.fillRect(0, y - 30, width, 50);
+
+        ctx.fillStyle = '#3CB371'; 
+        ctx.font = 'bold 28px sans-serif';
+        ctx.fillText(`#${rank}`, 20, y);
+
+        ctx.fillStyle = theme.text;
+        ctx.font = '24px sans-serif';
+        ctx.fillText(perk.name, 100, y);
+
+        ctx.textAlign = 'right';
+        ctx.fillStyle = '#FFA07A'; 
+        ctx.font = 'bold 24px sans-serif';
+        ctx.fillText(`${perk.obtained.toLocaleString()} times`, width - 20, y);
+        ctx.textAlign = 'left'; 
+    }
+
+    const attachment = new AttachmentBuilder(canvas.toBuffer('image/png'), { name: 'perk-leaderboard.png' });
+    return attachment;
+}
+
+/**
+ * Groups the perks rolled by a bulk crate open, rarest first.
+ * @param {object[]} perks - One perks row per opened crate.
+ * @returns {{perk: object, count: number}[]}
+ */
+function summarizeCrateRolls(perks) {
+    const counts = new Map();
+    for (const perk of perks) {
+        const entry = counts.get(perk.id) || { perk, count: 0 };
+        entry.count++;
+        counts.set(perk.id, entry);
+    }
+    return [...counts.values()].sort((a, b) => 
+        getRarity(b.perk).rank - getRarity(a.perk).rank || a.perk.weight - b.perk.weight || a.perk.name.localeCompare(b.perk.name)
+    );
+}
+
+/**
+ * Renders the result of a bulk crate open: one row per perk with its rarity, drop chance
+ * and how many of it were rolled.
+ * @param {{perk: object, count: number}[]} summary - From summarizeCrateRolls.
+ * @param {number} total - Number of crates opened.
+ * @param {string} guildId 
+ * @returns {AttachmentBuilder}
+ */
+function createCrateSummaryImage(summary, total, guildId) {
+    const theme = getGuildTheme(guildId);
+    const totalWeight = getPerkCatalog(guildId, { enabledOnly: true }).reduce((sum, perk) => sum + perk.weight, 0);
+    const width = 650;
+    const height = 80 + summary.length * 60;
+    const canvas = createCanvas(width, height);
+    const ctx = canvas.getContext('2d');
+
+    drawBoardFrame(ctx, width, height, `🎁 ${total} Crates Opened 🎁`, theme);
+
+    for (let i = 0; i < summary.length; i++) {
+        const { perk, count } = summary[i];
+        const y = 100 + i * 60;
+
+        ctx.fillStyle = i % 2 === 0 ? theme.rowEven : theme.rowOdd;
+        ctx.fillRect(0, y - 30, width, 50);
+
+        const rarity = getRarity(perk);
+        const badgeWidth = drawBadge(ctx, perk.name, 20, y - 20, rarity.color, '#23272A');
+
+        const chance = totalWeight > 0 ? (perk.weight / totalWeight) * 100 : 0;
+        ctx.fillStyle = theme.mutedText;
+        ctx.font = '18px sans-serif';
+        ctx.fillText(`${rarity.label} • ${formatChance(chance)}`, 20 + badgeWidth + 12, y);
+
+        ctx.textAlign = 'right';
+        ctx.fillStyle = theme.accent;
+        ctx.font = 'bold 28px sans-serif';
+        ctx.fillText(`×${count}`, width - 20, y + 2);
+        ctx.textAlign = 'left';
+    }
+
+    return new AttachmentBuilder(canvas.toBuffer('image/png'), { name: 'crate-summary.png' });
+}
+
+const RANK_CACHE_MS = 30000; // How long a looked-up leaderboard position is reused
+// Keyed by `${guildId}:${userId}`. An entry is also dropped as soon as the member's own XP changes.
+const rankCache = new Map();
+
+/**
+ * Finds where a member stands on the XP leaderboard of their guild. Members with the same
+ * XP share a position. Only the members ahead are counted, through idx_users_xp_rank.
+ * A member without a row yet stands with 0 XP and is counted in the total.
+ * @param {string} guildId 
+ * @param {string} userId 
+ * @returns {{position: number, total: number}}
+ */
+function getLeaderboardPosition(guildId, userId) {
+    const xp = getUserXP(guildId, userId).toString();
+    const key = `${guildId}:${userId}`;
+    const cached = rankCache.get(key);
+    if (cached && cached.xp === xp && Date.now() - cached.at < RANK_CACHE_MS) return cached.rank;
+
+    const { ahead } = db.prepare(`SELECT COUNT(*) AS ahead FROM users WHERE guild_id = @guildId AND ${XP_GREATER_THAN}`).get({ guildId, xp });
+    const { total } = db.prepare('SELECT COUNT(*) AS total FROM users WHERE guild_id = ?').get(guildId);
+    const exists = db.prepare('SELECT 1 FROM users WHERE guild_id = ? AND id = ?').get(guildId, userId);
+    const rank = { position: ahead + 1, total: exists ? total : total + 1 };
+
+    // Expired entries of other members are cleared out on the way
+    for (const [otherKey, entry] of rankCache) {
+        if (Date.now() - entry.at >= RANK_CACHE_MS) rankCache.delete(otherKey);
+    }
+    rankCache.set(key, { xp, at: Date.now(), rank });
+    return rank;
+}
+
+/**
+ * Renders a member's personal rank card.
+ * @param {string} guildId 
+ * @param {User} user - The Discord user the card is for.
+ * @returns {Promise<AttachmentBuilder>}
+ */
+async function createRankCardImage(guildId, user) {
+    const width = 800;
+    const height = 250;
+    const AVATAR_SIZE = 160;
+    const AVATAR_X = 40;
+    const CONTENT_X = AVATAR_X + AVATAR_SIZE + 30;
+    const CONTENT_RIGHT = width - 40;
+
+    const theme = getGuildTheme(guildId);
+    // Looking a member up doesn't add them to the database: without a row they have nothing yet
+    const row = db.prepare('SELECT xp, crates, current_perk_id FROM users WHERE guild_id = ? AND id = ?').get(guildId, user.id);
+    const userData = { xp: BigInt(row?.xp || '0'), crates: row?.crates ?? 0, current_perk_id: row?.current_perk_id ?? null };
+    const { position, total } = getLeaderboardPosition(guildId, user.id);
+    const levelInfo = getLevelInfo(guildId, userData.xp);
+    const perk = userData.current_perk_id ? getPerk(guildId, userData.current_perk_id) : null;
+    const crateCost = BigInt(getGuildConfig(guildId, 'crate_cost'));
+    const crateProgress = userData.xp % crateCost;
+
+    const canvas = createCanvas(width, height);
+    const ctx = canvas.getContext('2d');
+
+    ctx.fillStyle = theme.background;
+    ctx.fillRect(0, 0, width, height);
+    ctx.fillStyle = theme.rowEven;
+    ctx.beginPath();
+    ctx.roundRect(15, 15, width - 30, height - 30, 20);
+    ctx.fill();
+
+    await drawAvatar(ctx, user, AVATAR_X, (height - AVATAR_SIZE) / 2, AVATAR_SIZE, theme);
+
+    // Name on the left, leaderboard position on the right
+    ctx.fillStyle = theme.text;
+    ctx.font = 'bold 36px sans-serif';
+    ctx.textAlign = 'left';
+    ctx.fillText(user.username, CONTENT_X, 75);
+
+    ctx.textAlign = 'right';
+    ctx.fillStyle = theme.mutedText;
+    ctx.font = '20px sans-serif';
+    ctx.fillText(`of ${total}`, CONTENT_RIGHT, 75);
+    const totalWidth = ctx.measureText(`of ${total}`).width;
+    ctx.fillStyle = theme.accent;
+    ctx.font = 'bold 36px sans-serif';
+    ctx.fillText(`#${position}`, CONTENT_RIGHT - totalWidth - 8, 75);
+
+    ctx.textAlign = 'left';
+    ctx.fillStyle = theme.mutedText;
+    ctx.font = '22px sans-serif';
+    ctx.fillText(
+        `Level ${levelInfo.level}  •  ${userData.xp.toLocaleString()} XP  •  ${userData.crates.toLocaleString()} unopened crate(s)`,
+        CONTENT_X, 112
+    );
+
+    if (perk) {
+        drawBadge(ctx, perk.name, CONTENT_X, 128, PERK_BADGE_COLORS[perk.effect_type] || theme.accent, '#23272A');
+    } else {
+        drawBadge(ctx, 'No perk equipped', CONTENT_X, 128, theme.rowOdd, theme.mutedText);
+    }
+
+    // Progress toward the next crate
+    ctx.fillStyle = theme.mutedText;
+    ctx.font = '18px sans-serif';
+    ctx.fillText('Next crate', CONTENT_X, 188);
+    ctx.textAlign = 'right';
+    ctx.fillText(`${crateProgress.toLocaleString()} / ${crateCost.toLocaleString()} XP`, CONTENT_RIGHT, 188);
+    ctx.textAlign = 'left';
+    drawProgressBar(ctx, CONTENT_X, 198, CONTENT_RIGHT - CONTENT_X, 22, Number((crateProgress * 100n) / crateCost), theme);
+
+    return new AttachmentBuilder(canvas.toBuffer('image/png'), { name: 'rank-card.png' });
+}
+
+
+// --- Leaderboard Pages (/leaderboard view) ---
+
+const LEADERBOARD_PAGE_SIZE = 10;
+const LEADERBOARD_PAGE_CACHE_MS = 300000; // Rendered pages are reused for 5 minutes while their data is unchanged
+const LEADERBOARD_PAGE_CACHE_MAX = 100;
+
+// Ways to sort /leaderboard view. `value` is an SQL expression on the users table, `order`
+// its ORDER BY. XP breaks ties of the other sorts, the user ID breaks the rest so pages never overlap.
+const PERKS_OWNED_SQL = '(SELECT COALESCE(SUM(quantity), 0) FROM inventory WHERE inventory.guild_id = users.guild_id AND inventory.user_id = users.id)';
+const LEADERBOARD_SORTS = {
+    xp: {
+        label: 'XP',
+        value: 'xp',
+        order: `${XP_ORDER}, id`,
+        formatValue: null, // Level and XP
+    },
+    crates: {
+        label: 'Crates Opened',
+        value: 'crates_opened',
+        order: `crates_opened DESC, ${XP_ORDER}, id`,
+        formatValue: user => `${user.value.toLocaleString()} crate(s) opened`,
+    },
+    perks: {
+        label: 'Perks Owned',
+        value: PERKS_OWNED_SQL,
+        order: `${PERKS_OWNED_SQL} DESC, ${XP_ORDER}, id`,
+        formatValue: user => `${user.value.toLocaleString()} perk(s) owned`,
+    },
+};
+
+// Keyed by `${guildId}:${sort}:${page}`
+const leaderboardPageCache = new Map();
+
+
+/**
+ * Gets one page of a guild's leaderboard.
+ * @param {string} guildId 
+ * @param {string} sort - A key of LEADERBOARD_SORTS.
+ * @param {number} page - Zero-based, clamped to the existing pages.
+ * @returns {{rows: object[], page: number, pageCount: number, total: number}}
+ */
+function getLeaderboardPage(guildId, sort, page) {
+    const { total } = db.prepare('SELECT COUNT(*) AS total FROM users WHERE guild_id = ?').get(guildId);
+    const pageCount = Math.max(1, Math.ceil(total / LEADERBOARD_PAGE_SIZE));
+    const clampedPage = Math.min(Math.max(page, 0), pageCount - 1);
+
+    const rows = db.prepare(`
+        SELECT id, xp, ${LEADERBOARD_SORTS[sort].value} AS value FROM users WHERE guild_id = ?
+        ORDER BY ${LEADERBOARD_SORTS[sort].order} LIMIT ? OFFSET ?
+    `).all(guildId, LEADERBOARD_PAGE_SIZE, clampedPage * LEADERBOARD_PAGE_SIZE);
+
+    return { rows, page: clampedPage, pageCount, total };
+}
+
+/**
+ * Finds the page a member is on.
+ * @param {string} guildId 
+ * @param {string} sort 
+ * @param {string} userId 
+ * @returns {number | null} Zero-based page, or null if the member isn't on the board.
+ */
+function getLeaderboardPageOf(guildId, sort, userId) {
+    const row = db.prepare(`
+        SELECT position FROM (
+            SELECT id, ROW_NUMBER() OVER (ORDER BY ${LEADERBOARD_SORTS[sort].order}) AS position FROM users WHERE guild_id = ?
+        ) WHERE id = ?
+    `).get(guildId, userId);
+    return row ? Math.floor((row.position - 1) / LEADERBOARD_PAGE_SIZE) : null;
+}
+
+/**
+ * Renders a leaderboard page, reusing the cached image while the page shows the same data.
+ * @param {Client} client 
+ * @param {string} guildId 
+ * @param {string} sort 
+ * @param {{rows: object[], page: number}} boardPage - From getLeaderboardPage.
+ * @returns {Promise<AttachmentBuilder>}
+ */
+async function renderLeaderboardPage(client, guildId, sort, { rows, page }) {
+    const key = `${guildId}:${sort}:${page}`;
+    // Everything the image depends on, so a theme or level curve change also re-renders
+    const signature = JSON.stringify([rows, getGuildTheme(guildId), getLevelCurve(guildId)]);
+    const cached = leaderboardPageCache.get(key);
+    if (cached && cached.signature === signature && Date.now() - cached.renderedAt < LEADERBOARD_PAGE_CACHE_MS) {
+        return new AttachmentBuilder(cached.buffer, { name: 'leaderboard-page.png' });
+    }
+
+    const attachment = await createXPLeaderboardImage(rows, client, guildId, {
+        title: `🏆 Top ${LEADERBOARD_SORTS[sort].label} 🏆`,
+        startRank: page * LEADERBOARD_PAGE_SIZE + 1,
+        formatValue: LEADERBOARD_SORTS[sort].formatValue,
+    });
+
+    // Maps keep insertion order, so the first key is the oldest entry
+    leaderboardPageCache.delete(key);
+    if (leaderboardPageCache.size >= LEADERBOARD_PAGE_CACHE_MAX) {
+        leaderboardPageCache.delete(leaderboardPageCache.keys().next().value);
+    }
+    leaderboardPageCache.set(key, { signature, buffer: attachment.attachment, renderedAt: Date.now() });
+
+    return new AttachmentBuilder(attachment.attachment, { name: 'leaderboard-page.png' });
+}
+
+/**
+ * Builds the /leaderboard view reply for a page, with its navigation buttons.
+ * @param {Client} client 
+ * @param {string} guildId 
+ * @param {string} sort 
+ * @param {number} page 
+ * @returns {Promise<object>} Reply options.
+ */
+async function buildLeaderboardReply(client, guildId, sort, page) {
+    const boardPage = getLeaderboardPage(guildId, sort, page);
+    if (boardPage.total === 0) {
+        return { content: 'Nobody is on the leaderboard yet!', files: [], components: [] };
+    }
+
+    const image = await renderLeaderboardPage(client, guildId, sort, boardPage);
+    const row = new ActionRowBuilder()
+        .addComponents(
+            new ButtonBuilder()
+                .setCustomId(`LB_PAGE_${sort}_${boardPage.page - 1}`)
+                .setLabel('Previous')
+                .setStyle(ButtonStyle.Secondary)
+                .setDisabled(boardPage.page <= 0),
+            new ButtonBuilder()
+                .setCustomId(`LB_PAGE_${sort}_${boardPage.page + 1}`)
+                .setLabel('Next')
+                .setStyle(ButtonStyle.Secondary)
+                .setDisabled(boardPage.page >= boardPage.pageCount - 1),
+            new ButtonBuilder()
+                .setCustomId(`LB_ME_${sort}`)
+                .setLabel('Jump to me')
+                .setStyle(ButtonStyle.Primary),
+        );
+
+    return {
+        content: `📈 **${LEADERBOARD_SORTS[sort].label} Leaderboard** — Page ${boardPage.page + 1} of ${boardPage.pageCount} (${boardPage.total.toLocaleString()} members)`,
+        files: [image],
+        components: [row],
+    };
+}
+
+
+// --- Automated Leaderboard Sender (XP ONLY) ---
+
+async function autoSendLeaderboards(client) {
+    for (const guildId of client.guilds.cache.keys()) {
+        await sendGuildLeaderboard(client, guildId);
+    }
+}
+
+// The update timer of each guild's live leaderboard, keyed by guild ID
+const leaderboardTimers = new Map();
+
+/**
+ * Starts, or restarts, the automatic leaderboard updates of a guild with its
+ * leaderboard_interval_ms, so a new interval applies without a restart.
+ * @param {Client} client 
+ * @param {string} guildId 
+ */
+function scheduleGuildLeaderboard(client, guildId) {
+    clearInterval(leaderboardTimers.get(guildId));
+    leaderboardTimers.set(guildId, setInterval(() => {
+        sendGuildLeaderboard(client, guildId);
+    }, getGuildConfig(guildId, 'leaderboard_interval_ms')));
+}
+
+/**
+ * Sends or edits the live XP leaderboard message of one guild.
+ * @param {Client} client 
+ * @param {string} guildId 
+ * @param {{force?: boolean}} [options] - force redraws even if the standings are unchanged.
+ * @returns {Promise<string | undefined>} The result of updateLiveMessage, or undefined if no channel is set.
+ */
+async function sendGuildLeaderboard(client, guildId, { force = false } = {}) {
+    const channelId = getGuildSetting(guildId, 'leaderboard_channel_id');
+    if (!channelId) return; // Not configured yet (see /setup)
+
+    try {
+        // Select XP and order them. 
+        const topUsers = db.prepare(`SELECT id, xp FROM users WHERE guild_id = ? ORDER BY ${XP_ORDER} LIMIT 10`).all(guildId);
+        
+        if (topUsers.length === 0) {
+            console.log(`Skipping leaderboard update for guild ${guildId}: No XP data to display.`);
+            return 'unchanged';
+        }
+
+        // The weekly and monthly boards follow once someone has earned XP in them
+        const now = new Date();
+        const periodBoards = Object.entries(PERIOD_TYPES)
+            .map(([type, period]) => ({ type, period, standings: getPeriodStandings(guildId, type, period.getKey(now), 10) }))
+            .filter(board => board.standings.length > 0);
+
+        return await updateLiveMessage(client, {
+            guildId,
+            boardKey: 'leaderboard',
+            channelId,
+            force,
+            signature: JSON.stringify([topUsers, periodBoards.map(board => board.standings), getGuildTheme(guildId), getLevelCurve(guildId)]),
+            render: async () => {
+                const xpAttachment = await createXPLeaderboardImage(topUsers, client, guildId); 
+                const filesToSend = [xpAttachment];
+
+                for (const { type, period, standings } of periodBoards) {
+                    const periodAttachment = await createXPLeaderboardImage(standings, client, guildId, {
+                        title: `📅 Top XP ${period.title} 📅`,
+                        formatValue: user => `${BigInt(user.period_xp).toLocaleString()} XP`,
+                    });
+                    periodAttachment.setName(`${type}-leaderboard.png`);
+                    filesToSend.push(periodAttachment);
+                }
+
+                // Removed the timestamp and update interval text as requested by the user.
+                return { content: `📈 **LIVE XP LEADERBOARD** 📈\n\n`, files: filesToSend };
+            },
+        });
+        
+    } catch (error) {
+        console.error(`Fatal error during automatic leaderboard update for guild ${guildId}:`, error);
+        return 'failed';
+    }
+}
+
+
+// --- Discord Bot Client ---
 
 const client = new Client({
     intents: [
@@ -406,305 +3129,2347 @@ const client = new Client({
         GatewayIntentBits.GuildMessages,
         GatewayIntentBits.MessageContent,
         GatewayIntentBits.GuildMembers, 
+        GatewayIntentBits.GuildVoiceStates,
     ],
     partials: [Partials.Channel, Partials.GuildMember],
+    rest: {
+        // Live board edits fail fast instead of queueing behind a rate limit (see updateLiveMessage)
+        rejectOnRateLimit: data => data.method === 'PATCH' && /^\/channels\/[^/]+\/messages\//.test(data.route),
+    },
+});
+
+client.once('ready', async () => {
+    console.log(`Bot is online! Logged in as ${client.user.tag}`);
+
+    const perkEffectChoices = Object.entries(PERK_EFFECT_TYPES).map(([value, { label }]) => ({ name: label, value }));
+    const rarityChoices = Object.entries(RARITY_TIERS).map(([value, { label }]) => ({ name: label, value }));
+    const levelRewardChoices = Object.entries(LEVEL_REWARD_TYPES).map(([value, { label }]) => ({ name: label, value }));
+    const cardThemeChoices = Object.entries(CARD_THEMES).map(([value, { label }]) => ({ name: label, value }));
+    const leaderboardSortChoices = Object.entries(LEADERBOARD_SORTS).map(([value, { label }]) => ({ name: label, value }));
+    const periodTypeChoices = Object.entries(PERIOD_TYPES).map(([value, { label }]) => ({ name: label, value }));
+    const resetScopeChoices = Object.entries(RESET_SCOPES).map(([value, { label }]) => ({ name: label, value }));
+
+    // Data from before per-guild storage belongs to the guild named in LEGACY_GUILD_ID,
+    // or to the only guild the bot is in.
+    const legacyGuildId = LEGACY_GUILD_ID || (client.guilds.cache.size === 1 ? client.guilds.cache.firstKey() : null);
+    if (legacyGuildId) {
+        migrateLegacyData(legacyGuildId);
+    } else if (getTableColumns('legacy_users').length > 0) {
+        console.error('Migration skipped: the bot is in several guilds. Set LEGACY_GUILD_ID to the guild that owns the existing data.');
+    }
+
+    for (const guildId of client.guilds.cache.keys()) {
+        initGuild(guildId);
+    }
+
+    const commands = [
+        new SlashCommandBuilder()
+            .setName('buycrate')
+            .setDescription('Buy perk crates with XP.')
+            .addIntegerOption(option => 
+                option.setName('amount')
+                    .setDescription('The number of crates to purchase (min 1).')
+                    .setRequired(true)
+                    .setMinValue(1)), 
+        
+        new SlashCommandBuilder()
+            .setName('opencrate')
+            .setDescription('Open your purchased perk crates and equip one of the new perks.')
+            .addIntegerOption(option => 
+                option.setName('amount')
+                    .setDescription(`The number of crates to open (default 1, max ${MAX_CRATES_PER_OPEN}).`)
+                    .setMinValue(1)
+                    .setMaxValue(MAX_CRATES_PER_OPEN)),
+
+        new SlashCommandBuilder()
+            .setName('inventory')
+            .setDescription('Lists the perks you own.'),
+
+        new SlashCommandBuilder()
+            .setName('equip')
+            .setDescription('Equips one of the perks in your inventory.')
+            .addStringOption(option =>
+                option.setName('perk')
+                    .setDescription('The perk to equip.')
+                    .setRequired(true)
+                    .setAutocomplete(true)),
+
+        new SlashCommandBuilder()
+            .setName('unequip')
+            .setDescription('Unequips your current perk. It stays in your inventory.'),
+
+        new SlashCommandBuilder()
+            .setName('givexp')
+            .setDescription('Transfer some of your own XP to another user (with a cooldown).')
+            .addUserOption(option =>
+                option.setName('user')
+                    .setDescription('The user to give XP to.')
+                    .setRequired(true))
+            .addIntegerOption(option =>
+                option.setName('amount')
+                    .setDescription('The amount of XP to give (the server sets a maximum).')
+                    .setRequired(true)
+                    .setMaxValue(MAX_XP_OPTION)
+                    .setMinValue(1)),
+
+        new SlashCommandBuilder()
+            .setName('trade')
+            .setDescription('Swaps XP, crates or perks with another member. Both sides have to accept.')
+            .addSubcommand(subcommand =>
+                subcommand.setName('offer')
+                    .setDescription('Offers a trade to another member.')
+                    .addUserOption(option =>
+                        option.setName('user')
+                            .setDescription('The member to trade with.')
+                            .setRequired(true))
+                    .addIntegerOption(option =>
+                        option.setName('give_xp')
+                            .setDescription('XP you give.')
+                            .setMinValue(1)
+                            .setMaxValue(MAX_XP_OPTION))
+                    .addIntegerOption(option =>
+                        option.setName('give_crates')
+                            .setDescription('Unopened crates you give.')
+                            .setMinValue(1))
+                    .addStringOption(option =>
+                        option.setName('give_perk')
+                            .setDescription('A perk from your inventory you give.')
+                            .setAutocomplete(true))
+                    .addIntegerOption(option =>
+                        option.setName('ask_xp')
+                            .setDescription('XP you want in return.')
+                            .setMinValue(1)
+                            .setMaxValue(MAX_XP_OPTION))
+                    .addIntegerOption(option =>
+                        option.setName('ask_crates')
+                            .setDescription('Unopened crates you want in return.')
+                            .setMinValue(1))
+                    .addStringOption(option =>
+                        option.setName('ask_perk')
+                            .setDescription('A perk you want in return.')
+                            .setAutocomplete(true)))
+            .addSubcommand(subcommand =>
+                subcommand.setName('history')
+                    .setDescription('Shows your most recent trades and how they ended.')),
+
+        new SlashCommandBuilder()
+            .setName('market')
+            .setDescription('Buys and sells crates and perks for XP.')
+            .addSubcommand(subcommand =>
+                subcommand.setName('browse')
+                    .setDescription('Lists what is for sale.')
+                    .addIntegerOption(option =>
+                        option.setName('page')
+                            .setDescription('The page to show (default 1).')
+                            .setMinValue(1)))
+            .addSubcommand(subcommand =>
+                subcommand.setName('sell')
+                    .setDescription('Lists crates or a perk for sale. They are held by the market until sold.')
+                    .addIntegerOption(option =>
+                        option.setName('price')
+                            .setDescription('The price in XP.')
+                            .setRequired(true)
+                            .setMinValue(1)
+                            .setMaxValue(MAX_XP_OPTION))
+                    .addIntegerOption(option =>
+                        option.setName('crates')
+                            .setDescription('How many unopened crates to sell.')
+                            .setMinValue(1))
+                    .addStringOption(option =>
+                        option.setName('perk')
+                            .setDescription('A perk from your inventory to sell (one copy).')
+                            .setAutocomplete(true))
+                    .addStringOption(option =>
+                        option.setName('duration')
+                            .setDescription(`How long the listing stays up, e.g. 12h or 7d (default ${formatDuration(MARKET_LISTING_DEFAULT_MS)}).`)))
+            .addSubcommand(subcommand =>
+                subcommand.setName('buy')
+                    .setDescription('Buys a listing.')
+                    .addIntegerOption(option =>
+                        option.setName('listing')
+                            .setDescription('The listing number, as shown by /market browse.')
+                            .setRequired(true)
+                            .setMinValue(1)))
+            .addSubcommand(subcommand =>
+                subcommand.setName('cancel')
+                    .setDescription('Takes one of your listings off the market and returns the items.')
+                    .addIntegerOption(option =>
+                        option.setName('listing')
+                            .setDescription('The listing number.')
+                            .setRequired(true)
+                            .setMinValue(1)))
+            .addSubcommand(subcommand =>
+                subcommand.setName('mine')
+                    .setDescription('Shows your listings, including sold and expired ones.')),
+
+        new SlashCommandBuilder()
+            .setName('transactions')
+            .setDescription('Shows the XP and crate transaction history of a user.')
+            .addUserOption(option =>
+                option.setName('user')
+                    .setDescription('The user to look up (defaults to you).'))
+            .addIntegerOption(option =>
+                option.setName('page')
+                    .setDescription('The page to start on (default 1).')
+                    .setMinValue(1)),
+
+        new SlashCommandBuilder()
+            .setName('daily')
+            .setDescription('Claims your daily XP. Come back every day to grow your streak.'),
+
+        new SlashCommandBuilder()
+            .setName('myinfo')
+            .setDescription('Shows your current XP, crates, and equipped perk.'),
+
+        new SlashCommandBuilder()
+            .setName('rank')
+            .setDescription('Shows the rank card of you or another member.')
+            .addUserOption(option =>
+                option.setName('user')
+                    .setDescription('Whose rank card to show (default: you).')),
+
+        new SlashCommandBuilder()
+            .setName('leaderboard')
+            .setDescription('Browses the leaderboard, or updates the live one.')
+            .addSubcommand(subcommand =>
+                subcommand.setName('view')
+                    .setDescription('Browses every page of the leaderboard.')
+                    .addStringOption(option =>
+                        option.setName('sort')
+                            .setDescription('What to rank members by (default: XP).')
+                            .addChoices(...leaderboardSortChoices))
+                    .addIntegerOption(option =>
+                        option.setName('page')
+                            .setDescription('The page to start on.')
+                            .setMinValue(1)))
+            .addSubcommand(subcommand =>
+                subcommand.setName('refresh')
+                    .setDescription('[MOD ONLY] Manually updates the live XP leaderboard.')),
+            
+        new SlashCommandBuilder()
+            .setName('perkboard')
+            .setDescription('Shows the Perk leaderboard as a temporary message.'),
+
+        new SlashCommandBuilder()
+            .setName('odds')
+            .setDescription('Shows the crate drop rates, how often each perk really dropped, and your pity progress.'),
+            
+        new SlashCommandBuilder() 
+            .setName('resetallboards')
+            .setDescription('[MOD ONLY] Resets user XP, crate, and perk board data. A backup is taken first.')
+            .addStringOption(option =>
+                option.setName('scope')
+                    .setDescription('What to reset (default everything).')
+                    .addChoices(...resetScopeChoices))
+            .addUserOption(option =>
+                option.setName('user')
+                    .setDescription('Only reset this member.')),
+
+        new SlashCommandBuilder()
+            .setName('backup')
+            .setDescription('[MOD ONLY] Lists database backups or restores this server from one.')
+            .addSubcommand(subcommand =>
+                subcommand.setName('list')
+                    .setDescription('Lists the backups on disk, newest first.'))
+            .addSubcommand(subcommand =>
+                subcommand.setName('restore')
+                    .setDescription('Puts this server\'s XP, crates, perks and streaks back to how they were in a backup.')
+                    .addStringOption(option =>
+                        option.setName('backup')
+                            .setDescription('The backup id, as shown by /backup list.')
+                            .setRequired(true)
+                            .setAutocomplete(true))),
+
+        new SlashCommandBuilder()
+            .setName('xpadmin')
+            .setDescription('[MOD ONLY] Corrects the XP of a member. Every change is kept in the audit log.')
+            .addSubcommand(subcommand =>
+                subcommand.setName('add')
+                    .setDescription('Gives a member XP.')
+                    .addUserOption(option =>
+                        option.setName('user')
+                            .setDescription('The member.')
+                            .setRequired(true))
+                    .addIntegerOption(option =>
+                        option.setName('amount')
+                            .setDescription('How many XP to give.')
+                            .setRequired(true)
+                            .setMinValue(1)
+                            .setMaxValue(MAX_XP_OPTION))
+                    .addStringOption(option =>
+                        option.setName('reason')
+                            .setDescription('Why. Kept in the audit log.')
+                            .setRequired(true)
+                            .setMaxLength(500)))
+            .addSubcommand(subcommand =>
+                subcommand.setName('remove')
+                    .setDescription('Takes XP from a member (down to zero at most).')
+                    .addUserOption(option =>
+                        option.setName('user')
+                            .setDescription('The member.')
+                            .setRequired(true))
+                    .addIntegerOption(option =>
+                        option.setName('amount')
+                            .setDescription('How many XP to take.')
+                            .setRequired(true)
+                            .setMinValue(1)
+                            .setMaxValue(MAX_XP_OPTION))
+                    .addStringOption(option =>
+                        option.setName('reason')
+                            .setDescription('Why. Kept in the audit log.')
+                            .setRequired(true)
+                            .setMaxLength(500)))
+            .addSubcommand(subcommand =>
+                subcommand.setName('set')
+                    .setDescription('Sets how many XP a member has.')
+                    .addUserOption(option =>
+                        option.setName('user')
+                            .setDescription('The member.')
+                            .setRequired(true))
+                    .addIntegerOption(option =>
+                        option.setName('amount')
+                            .setDescription('The new amount of XP.')
+                            .setRequired(true)
+                            .setMinValue(0)
+                            .setMaxValue(MAX_XP_OPTION))
+                    .addStringOption(option =>
+                        option.setName('reason')
+                            .setDescription('Why. Kept in the audit log.')
+                            .setRequired(true)
+                            .setMaxLength(500))),
+
+        new SlashCommandBuilder()
+            .setName('crateadmin')
+            .setDescription('[MOD ONLY] Corrects the unopened crates of a member. Every change is kept in the audit log.')
+            .addSubcommand(subcommand =>
+                subcommand.setName('add')
+                    .setDescription('Gives a member crates.')
+                    .addUserOption(option =>
+                        option.setName('user')
+                            .setDescription('The member.')
+                            .setRequired(true))
+                    .addIntegerOption(option =>
+                        option.setName('amount')
+                            .setDescription('How many crates to give.')
+                            .setRequired(true)
+                            .setMinValue(1)
+                            .setMaxValue(100000))
+                    .addStringOption(option =>
+                        option.setName('reason')
+                            .setDescription('Why. Kept in the audit log.')
+                            .setRequired(true)
+                            .setMaxLength(500)))
+            .addSubcommand(subcommand =>
+                subcommand.setName('remove')
+                    .setDescription('Takes crates from a member (down to zero at most).')
+                    .addUserOption(option =>
+                        option.setName('user')
+                            .setDescription('The member.')
+                            .setRequired(true))
+                    .addIntegerOption(option =>
+                        option.setName('amount')
+                            .setDescription('How many crates to take.')
+                            .setRequired(true)
+                            .setMinValue(1)
+                            .setMaxValue(100000))
+                    .addStringOption(option =>
+                        option.setName('reason')
+                            .setDescription('Why. Kept in the audit log.')
+                            .setRequired(true)
+                            .setMaxLength(500)))
+            .addSubcommand(subcommand =>
+                subcommand.setName('set')
+                    .setDescription('Sets how many crates a member has.')
+                    .addUserOption(option =>
+                        option.setName('user')
+                            .setDescription('The member.')
+                            .setRequired(true))
+                    .addIntegerOption(option =>
+                        option.setName('amount')
+                            .setDescription('The new amount of crates.')
+                            .setRequired(true)
+                            .setMinValue(0)
+                            .setMaxValue(100000))
+                    .addStringOption(option =>
+                        option.setName('reason')
+                            .setDescription('Why. Kept in the audit log.')
+                            .setRequired(true)
+                            .setMaxLength(500))),
+
+        new SlashCommandBuilder()
+            .setName('modlog')
+            .setDescription('[MOD ONLY] Shows the latest moderator economy actions.')
+            .addUserOption(option =>
+                option.setName('user')
+                    .setDescription('Only show actions taken on this member.')),
+
+        new SlashCommandBuilder()
+            .setName('xpmultiplier')
+            .setDescription('[MOD ONLY] Sets how much XP channels and roles earn.')
+            .addSubcommand(subcommand =>
+                subcommand.setName('channel')
+                    .setDescription('Sets the XP multiplier of a channel, or of every channel in a category.')
+                    .addChannelOption(option =>
+                        option.setName('channel')
+                            .setDescription('The channel or category.')
+                            .setRequired(true)
+                            .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement, ChannelType.GuildForum,
+                                ChannelType.GuildVoice, ChannelType.GuildStageVoice, ChannelType.GuildCategory))
+                    .addNumberOption(option =>
+                        option.setName('multiplier')
+                            .setDescription('e.g. 2 for double XP, 0 for no XP. 1 removes the multiplier.')
+                            .setRequired(true)
+                            .setMinValue(0)
+                            .setMaxValue(MAX_XP_MULTIPLIER)))
+            .addSubcommand(subcommand =>
+                subcommand.setName('role')
+                    .setDescription('Sets the XP multiplier of a role. Members with several get the highest.')
+                    .addRoleOption(option =>
+                        option.setName('role')
+                            .setDescription('The role.')
+                            .setRequired(true))
+                    .addNumberOption(option =>
+                        option.setName('multiplier')
+                            .setDescription('e.g. 1.5 for 50% more XP, 0 for no XP. 1 removes the multiplier.')
+                            .setRequired(true)
+                            .setMinValue(0)
+                            .setMaxValue(MAX_XP_MULTIPLIER)))
+            .addSubcommand(subcommand =>
+                subcommand.setName('list')
+                    .setDescription('Lists the XP multipliers of this server.')),
+
+        new SlashCommandBuilder()
+            .setName('event')
+            .setDescription('Server-wide XP events.')
+            .addSubcommand(subcommand =>
+                subcommand.setName('start')
+                    .setDescription('[MOD ONLY] Starts a timed XP event for everyone, e.g. double XP for 2 hours.')
+                    .addNumberOption(option =>
+                        option.setName('multiplier')
+                            .setDescription('e.g. 2 for double XP.')
+                            .setRequired(true)
+                            .setMinValue(1.1)
+                            .setMaxValue(MAX_XP_MULTIPLIER))
+                    .addStringOption(option =>
+                        option.setName('duration')
+                            .setDescription('How long it runs, e.g. 30m, 2h or 1d12h (7 days at most).')
+                            .setRequired(true))
+                    .addChannelOption(option =>
+                        option.setName('channel')
+                            .setDescription('Where the start and end are announced (defaults to this channel).')
+                            .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement)))
+            .addSubcommand(subcommand =>
+                subcommand.setName('stop')
+                    .setDescription('[MOD ONLY] Ends the running XP event early.'))
+            .addSubcommand(subcommand =>
+                subcommand.setName('status')
+                    .setDescription('Shows the running XP event.')),
+
+        new SlashCommandBuilder()
+            .setName('config')
+            .setDescription('[MOD ONLY] Shows or changes the economy and XP settings of this server.')
+            .addSubcommand(subcommand =>
+                subcommand.setName('get')
+                    .setDescription('Shows one setting, or all of them.')
+                    .addStringOption(option =>
+                        option.setName('key')
+                            .setDescription('The setting.')
+                            .setAutocomplete(true)))
+            .addSubcommand(subcommand =>
+                subcommand.setName('set')
+                    .setDescription('Changes a setting. It applies right away.')
+                    .addStringOption(option =>
+                        option.setName('key')
+                            .setDescription('The setting.')
+                            .setRequired(true)
+                            .setAutocomplete(true))
+                    .addStringOption(option =>
+                        option.setName('value')
+                            .setDescription('The new value, e.g. 150, 5m, on, #channel or @role.')
+                            .setRequired(true)))
+            .addSubcommand(subcommand =>
+                subcommand.setName('reset')
+                    .setDescription('Puts a setting back to its default.')
+                    .addStringOption(option =>
+                        option.setName('key')
+                            .setDescription('The setting.')
+                            .setRequired(true)
+                            .setAutocomplete(true)))
+            .addSubcommand(subcommand =>
+                subcommand.setName('export')
+                    .setDescription('Downloads every setting as a JSON file.'))
+            .addSubcommand(subcommand =>
+                subcommand.setName('import')
+                    .setDescription('Applies the settings of a JSON file from /config export.')
+                    .addAttachmentOption(option =>
+                        option.setName('file')
+                            .setDescription('The exported file.')
+                            .setRequired(true))),
+
+        new SlashCommandBuilder()
+            .setName('setup')
+            .setDescription('[MOD ONLY] Shows or changes the channels and level curve of this server.')
+            .addChannelOption(option =>
+                option.setName('leaderboard_channel')
+                    .setDescription('The channel for the live XP leaderboard.')
+                    .addChannelTypes(ChannelType.GuildText))
+            .addChannelOption(option =>
+                option.setName('level_up_channel')
+                    .setDescription('The channel for level-up announcements.')
+                    .addChannelTypes(ChannelType.GuildText))
+            .addIntegerOption(option =>
+                option.setName('level_base')
+                    .setDescription('Level curve: the total XP needed for level 1.')
+                    .setMinValue(1))
+            .addNumberOption(option =>
+                option.setName('level_exponent')
+                    .setDescription('Level curve: how much steeper each level gets (1 = every level costs the same).')
+                    .setMinValue(1)
+                    .setMaxValue(5))
+            .addStringOption(option =>
+                option.setName('card_theme')
+                    .setDescription('The colors of rank cards and leaderboard images.')
+                    .addChoices(...cardThemeChoices))
+            .addStringOption(option =>
+                option.setName('card_accent')
+                    .setDescription('Accent color of the images as a hex code (e.g. #FF8800), or "default".'))
+            .addStringOption(option =>
+                option.setName('timezone')
+                    .setDescription('The timezone in which /daily days start, e.g. Europe/Berlin or America/New_York.'))
+            .addChannelOption(option =>
+                option.setName('mod_log_channel')
+                    .setDescription('The channel where moderator economy actions are posted.')
+                    .addChannelTypes(ChannelType.GuildText)),
+
+        new SlashCommandBuilder()
+            .setName('levelreward')
+            .setDescription('[MOD ONLY] Manages what members get when they first reach a level.')
+            .addSubcommand(subcommand =>
+                subcommand.setName('add')
+                    .setDescription('Adds or replaces a reward for a level.')
+                    .addIntegerOption(option =>
+                        option.setName('level')
+                            .setDescription('The level that earns the reward.')
+                            .setRequired(true)
+                            .setMinValue(1))
+                    .addStringOption(option =>
+                        option.setName('type')
+                            .setDescription('What kind of reward to give.')
+                            .setRequired(true)
+                            .addChoices(...levelRewardChoices))
+                    .addIntegerOption(option =>
+                        option.setName('amount')
+                            .setDescription('For crates and XP bonuses: how many to give.')
+                            .setMinValue(1)
+                            .setMaxValue(MAX_XP_OPTION))
+                    .addRoleOption(option =>
+                        option.setName('role')
+                            .setDescription('For role rewards: the role to grant.')))
+            .addSubcommand(subcommand =>
+                subcommand.setName('remove')
+                    .setDescription('Removes a reward from a level.')
+                    .addIntegerOption(option =>
+                        option.setName('level')
+                            .setDescription('The level of the reward.')
+                            .setRequired(true)
+                            .setMinValue(1))
+                    .addStringOption(option =>
+                        option.setName('type')
+                            .setDescription('The kind of reward to remove.')
+                            .setRequired(true)
+                            .addChoices(...levelRewardChoices)))
+            .addSubcommand(subcommand =>
+                subcommand.setName('list')
+                    .setDescription('Lists the level curve and every level reward.')),
+
+        new SlashCommandBuilder()
+            .setName('perkadmin')
+            .setDescription('[MOD ONLY] Manages the perks that can drop from crates in this server.')
+            .addSubcommand(subcommand =>
+                subcommand.setName('add')
+                    .setDescription('Adds a new perk to the catalog.')
+                    .addStringOption(option =>
+                        option.setName('name')
+                            .setDescription('The name of the perk.')
+                            .setRequired(true)
+                            .setMaxLength(50))
+                    .addNumberOption(option =>
+                        option.setName('weight')
+                            .setDescription('Drop weight. The drop chance is this weight divided by the total of all enabled perks.')
+                            .setRequired(true)
+                            .setMinValue(0))
+                    .addStringOption(option =>
+                        option.setName('effect')
+                            .setDescription('What the perk does when equipped.')
+                            .setRequired(true)
+                            .addChoices(...perkEffectChoices))
+                    .addNumberOption(option =>
+                        option.setName('boost_percent')
+                            .setDescription('For XP boosts: the extra message XP in percent (e.g. 5 for +5%).')
+                            .setMinValue(0)
+                            .setMaxValue(1000))
+                    .addRoleOption(option =>
+                        option.setName('role')
+                            .setDescription('For role perks: the role to grant.'))
+                    .addStringOption(option =>
+                        option.setName('duration')
+                            .setDescription('How long the perk lasts once equipped, e.g. 7d or 12h. Leave empty for forever.'))
+                    .addStringOption(option =>
+                        option.setName('rarity')
+                            .setDescription('The rarity tier (default: Common).')
+                            .addChoices(...rarityChoices))
+                    .addBooleanOption(option =>
+                        option.setName('enabled')
+                            .setDescription('Whether the perk can drop from crates (default: true).')))
+            .addSubcommand(subcommand =>
+                subcommand.setName('edit')
+                    .setDescription('Changes an existing perk. Only the given options are changed.')
+                    .addStringOption(option =>
+                        option.setName('perk')
+                            .setDescription('The perk to edit.')
+                            .setRequired(true)
+                            .setAutocomplete(true))
+                    .addStringOption(option =>
+                        option.setName('name')
+                            .setDescription('A new name for the perk.')
+                            .setMaxLength(50))
+                    .addNumberOption(option =>
+                        option.setName('weight')
+                            .setDescription('The new drop weight.')
+                            .setMinValue(0))
+                    .addStringOption(option =>
+                        option.setName('effect')
+                            .setDescription('The new effect type.')
+                            .addChoices(...perkEffectChoices))
+                    .addNumberOption(option =>
+                        option.setName('boost_percent')
+                            .setDescription('For XP boosts: the extra message XP in percent.')
+                            .setMinValue(0)
+                            .setMaxValue(1000))
+                    .addRoleOption(option =>
+                        option.setName('role')
+                            .setDescription('For role perks: the role to grant.'))
+                    .addStringOption(option =>
+                        option.setName('duration')
+                            .setDescription('How long the perk lasts once equipped, e.g. 7d or 12h, or "forever".'))
+                    .addStringOption(option =>
+                        option.setName('rarity')
+                            .setDescription('The new rarity tier.')
+                            .addChoices(...rarityChoices))
+                    .addBooleanOption(option =>
+                        option.setName('enabled')
+                            .setDescription('Whether the perk can drop from crates.')))
+            .addSubcommand(subcommand =>
+                subcommand.setName('remove')
+                    .setDescription('Deletes a perk that nobody has obtained yet.')
+                    .addStringOption(option =>
+                        option.setName('perk')
+                            .setDescription('The perk to delete.')
+                            .setRequired(true)
+                            .setAutocomplete(true)))
+            .addSubcommand(subcommand =>
+                subcommand.setName('list')
+                    .setDescription('Lists every perk with its drop chance.'))
+            .addSubcommand(subcommand =>
+                subcommand.setName('pity')
+                    .setDescription('Shows or changes how many crates guarantee a rare drop.')
+                    .addIntegerOption(option =>
+                        option.setName('threshold')
+                            .setDescription('Crates in a row without the rarity below before it is guaranteed (0 = off).')
+                            .setMinValue(0)
+                            .setMaxValue(1000))
+                    .addStringOption(option =>
+                        option.setName('rarity')
+                            .setDescription('The guaranteed rarity; better tiers count too.')
+                            .addChoices(...rarityChoices)))
+            .addSubcommand(subcommand =>
+                subcommand.setName('equip')
+                    .setDescription('Equips a perk on a member. A perk they don\'t own is added to their inventory first.')
+                    .addUserOption(option =>
+                        option.setName('user')
+                            .setDescription('The member.')
+                            .setRequired(true))
+                    .addStringOption(option =>
+                        option.setName('perk')
+                            .setDescription('The perk to equip.')
+                            .setRequired(true)
+                            .setAutocomplete(true))
+                    .addStringOption(option =>
+                        option.setName('reason')
+                            .setDescription('Why. Kept in the audit log.')
+                            .setRequired(true)
+                            .setMaxLength(500)))
+            .addSubcommand(subcommand =>
+                subcommand.setName('strip')
+                    .setDescription('Unequips a member\'s perk and takes it out of their inventory.')
+                    .addUserOption(option =>
+                        option.setName('user')
+                            .setDescription('The member.')
+                            .setRequired(true))
+                    .addStringOption(option =>
+                        option.setName('reason')
+                            .setDescription('Why. Kept in the audit log.')
+                            .setRequired(true)
+                            .setMaxLength(500))),
+
+        new SlashCommandBuilder()
+            .setName('halloffame')
+            .setDescription('Shows the winners of past weeks and months.')
+            .addStringOption(option =>
+                option.setName('period')
+                    .setDescription('Which boards to show (default: both).')
+                    .addChoices(...periodTypeChoices)),
+
+        new SlashCommandBuilder()
+            .setName('seasonrewards')
+            .setDescription('[MOD ONLY] Shows or changes the rewards for the top of each finished week and month.')
+            .addIntegerOption(option =>
+                option.setName('crates')
+                    .setDescription('Crates for each rewarded place (0 turns crate rewards off).')
+                    .setMinValue(0)
+                    .setMaxValue(100))
+            .addIntegerOption(option =>
+                option.setName('places')
+                    .setDescription('How many of the top places get the crates.')
+                    .setMinValue(1)
+                    .setMaxValue(HALL_OF_FAME_SIZE))
+            .addRoleOption(option =>
+                option.setName('winner_role')
+                    .setDescription('A role for the #1 of the latest week or month.'))
+            .addBooleanOption(option =>
+                option.setName('remove_winner_role')
+                    .setDescription('Stops giving out a winner role.')),
+
+        new SlashCommandBuilder()
+            .setName('dailyrewards')
+            .setDescription('[MOD ONLY] Shows or changes the /daily rewards. Only the given options are changed.')
+            .addIntegerOption(option =>
+                option.setName('xp')
+                    .setDescription('XP on the first day of a streak.')
+                    .setMinValue(0)
+                    .setMaxValue(MAX_XP_OPTION))
+            .addIntegerOption(option =>
+                option.setName('streak_bonus')
+                    .setDescription('Extra XP for each further day of a streak.')
+                    .setMinValue(0)
+                    .setMaxValue(MAX_XP_OPTION))
+            .addIntegerOption(option =>
+                option.setName('streak_cap')
+                    .setDescription('How many streak days still raise the bonus.')
+                    .setMinValue(0)
+                    .setMaxValue(3650))
+            .addIntegerOption(option =>
+                option.setName('crate_every')
+                    .setDescription('Give a crate on every Nth day of a streak (0 = never).')
+                    .setMinValue(0)
+                    .setMaxValue(365))
+            .addBooleanOption(option =>
+                option.setName('grace')
+                    .setDescription('Whether each streak survives one missed day.')),
+
+        new SlashCommandBuilder()
+            .setName('xpfilter')
+            .setDescription('[MOD ONLY] Configures the anti-spam rules for message XP.')
+            .addSubcommand(subcommand =>
+                subcommand.setName('settings')
+                    .setDescription('Shows or changes the XP filter settings. Only the given options are changed.')
+                    .addIntegerOption(option =>
+                        option.setName('cooldown_seconds')
+                            .setDescription('Minimum seconds between two XP-earning messages of one member.')
+                            .setMinValue(0)
+                            .setMaxValue(3600))
+                    .addIntegerOption(option =>
+                        option.setName('min_length')
+                            .setDescription('Minimum message length in characters to earn XP.')
+                            .setMinValue(0)
+                            .setMaxValue(500))
+                    .addIntegerOption(option =>
+                        option.setName('duplicate_history')
+                            .setDescription('Repeating one of your last N messages earns no XP (0 turns this off).')
+                            .setMinValue(0)
+                            .setMaxValue(50)))
+            .addSubcommand(subcommand =>
+                subcommand.setName('ignore')
+                    .setDescription('Toggles whether a channel earns XP.')
+                    .addChannelOption(option =>
+                        option.setName('channel')
+                            .setDescription('The channel to ignore or stop ignoring.')
+                            .setRequired(true)))
+            .addSubcommand(subcommand =>
+                subcommand.setName('report')
+                    .setDescription('Lists the members who triggered the XP filters most often.')),
+
+        new SlashCommandBuilder()
+            .setName('modroles')
+            .setDescription('[MOD ONLY] Manages the roles that may use moderator commands.')
+            .addSubcommand(subcommand =>
+                subcommand.setName('add')
+                    .setDescription('Lets a role use moderator commands.')
+                    .addRoleOption(option =>
+                        option.setName('role')
+                            .setDescription('The moderator role.')
+                            .setRequired(true)))
+            .addSubcommand(subcommand =>
+                subcommand.setName('remove')
+                    .setDescription('Stops a role from using moderator commands.')
+                    .addRoleOption(option =>
+                        option.setName('role')
+                            .setDescription('The role to remove.')
+                            .setRequired(true)))
+            .addSubcommand(subcommand =>
+                subcommand.setName('list')
+                    .setDescription('Lists the moderator roles.')),
+            
+    ].map(command => {
+        // Hidden from regular members by default; servers can widen access under Integrations.
+        if (MOD_COMMANDS.has(command.name)) {
+            command.setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild);
+        }
+        return command.setContexts(InteractionContextType.Guild).toJSON();
+    });
+
+    await client.application.commands.set(commands);
+    console.log('Slash commands registered.');
+
+    await new Promise(resolve => setTimeout(resolve, 5000));
+    
+    await autoSendLeaderboards(client); 
+    
+    for (const guildId of client.guilds.cache.keys()) {
+        scheduleGuildLeaderboard(client, guildId);
+    }
+
+    console.log('Automatic leaderboard updates started. Intervals are set per server with /config.');
+
+    // The first runs catch up on periods and perks that ended while the bot was offline
+    await rolloverPeriods(client);
+    setInterval(() => {
+        rolloverPeriods(client).catch(error => console.error('Failed to roll over periods:', error));
+    }, PERIOD_CHECK_MS);
+
+    await expirePerks(client);
+    setInterval(() => {
+        expirePerks(client).catch(error => console.error('Failed to expire perks:', error));
+    }, PERK_EXPIRY_CHECK_MS);
+
+    const returnExpiredListings = () => {
+        const expired = expireMarketListings();
+        if (expired > 0) console.log(`Returned ${expired} expired market listing(s) to their sellers.`);
+    };
+    returnExpiredListings();
+    setInterval(returnExpiredListings, MARKET_CHECK_MS);
+
+    // Picks up voice sessions that were running before a restart
+    await updateVoiceSessions(client);
+    setInterval(() => {
+        updateVoiceSessions(client).catch(error => console.error('Failed to credit voice sessions:', error));
+    }, VOICE_CHECK_MS);
+
+    await finishXPEvents(client);
+    setInterval(() => {
+        finishXPEvents(client).catch(error => console.error('Failed to finish XP events:', error));
+    }, XP_EVENT_CHECK_MS);
+
+    await runScheduledBackup();
+    setInterval(runScheduledBackup, BACKUP_CHECK_MS);
+});
+
+client.on('guildCreate', (guild) => {
+    console.log(`Joined guild ${guild.name} (${guild.id}). Configure it with /setup.`);
+    initGuild(guild.id);
+    scheduleGuildLeaderboard(client, guild.id);
+});
+
+client.on('guildDelete', (guild) => {
+    clearInterval(leaderboardTimers.get(guild.id));
+    leaderboardTimers.delete(guild.id);
+});
+
+client.on('voiceStateUpdate', async (oldState, newState) => {
+    const now = Date.now();
+    try {
+        // Whoever left a channel stops earning there: a move ends the session in the old
+        // channel, with its multipliers, before the new channel starts another one. The
+        // channels they left and joined may have someone alone in them now, or no longer alone
+        const leftContext = { channel: oldState.channel, member: newState.member };
+        const leftChannel = oldState.channelId !== newState.channelId;
+        if (leftChannel && endVoiceSession(newState.guild.id, newState.id, now, leftContext) > 0n && newState.member) {
+            await processLevelUps(newState.member);
+        }
+        for (const channel of new Set([oldState.channel, newState.channel].filter(Boolean))) {
+            await updateVoiceChannel(channel, now);
+        }
+    } catch (error) {
+        console.error('Failed to update voice sessions:', error);
+    }
+});
+
+client.on('messageCreate', (message) => {
+    if (message.author.bot || !message.content || !message.guild) return;
+
+    const filterReason = checkXPGate(message);
+    if (filterReason) {
+        // Ignored channels are a server choice, not something the member did
+        if (filterReason !== 'ignored_channel') recordFilterHit(message.guild.id, message.author.id, filterReason);
+        return;
+    }
+
+    awardXP(message.guild.id, message.author.id, getGuildConfig(message.guild.id, 'xp_per_message'), {
+        channel: message.channel,
+        member: message.member,
+    });
+    if (message.member) {
+        processLevelUps(message.member).catch(error => console.error('Failed to process level-ups:', error));
+    }
 });
 
-client.once('ready', async () => {
-    console.log(`Bot is online! Logged in as ${client.user.tag}`);
 
-    const commands = [
-        new SlashCommandBuilder()
-            .setName('buycrate')
-            .setDescription('Buy perk crates for the cost of 10,000 XP each.')
-            .addIntegerOption(option => 
-                option.setName('amount')
-                    .setDescription('The number of crates to purchase (min 1).')
-                    .setRequired(true)
-                    .setMinValue(1)), 
-        
-        new SlashCommandBuilder()
-            .setName('opencrate')
-            .setDescription('Open one of your purchased perk crates and equip the new perk. (1 crate max)'),
+// --- Interaction Handler for Slash Commands and Buttons ---
+
+client.on('interactionCreate', async (interaction) => {
+    // Every command is registered for guilds only, and all data is stored per guild.
+    if (!interaction.inGuild()) return;
+
+    if (interaction.isCommand()) {
+        const { commandName, guildId } = interaction;
+
+        const subcommandName = interaction.options.getSubcommand(false);
+        const isModOnly = MOD_COMMANDS.has(commandName) || MOD_SUBCOMMANDS.has(`${commandName} ${subcommandName}`);
+        if (isModOnly && !isModerator(interaction)) {
+            logDeniedAttempt(interaction, subcommandName ? `/${commandName} ${subcommandName}` : `/${commandName}`);
+            return interaction.reply({ content: '⛔ You do not have permission to use this command.', ephemeral: true });
+        }
+
+        const userId = interaction.user.id;
+        const userData = getUserData(guildId, userId); 
+        
+        // --- /BUYCRATE (Purchase Initiation) ---
+        if (commandName === 'buycrate') {
+            const amount = interaction.options.getInteger('amount');
+            const costBigInt = BigInt(amount) * BigInt(getGuildConfig(guildId, 'crate_cost'));
+
+            if (userData.xp < costBigInt) {
+                return interaction.reply({
+                    content: `❌ You need **${costBigInt.toLocaleString()} XP** to buy ${amount} crate(s), but you only have **${userData.xp.toLocaleString()} XP**!`,
+                    ephemeral: true
+                });
+            }
+
+            // The price is kept with the action, so a price change can't surprise the buyer
+            const token = createPendingAction(guildId, userId, 'buy_crate', { amount, cost: costBigInt.toString() });
+            const row = new ActionRowBuilder()
+                .addComponents(
+                    new ButtonBuilder()
+                        .setCustomId(actionButtonId(token, 'CONFIRM')) 
+                        .setLabel(`Confirm Purchase for ${costBigInt.toLocaleString()} XP`)
+                        .setStyle(ButtonStyle.Success),
+                    new ButtonBuilder()
+                        .setCustomId(actionButtonId(token, 'CANCEL'))
+                        .setLabel('Cancel')
+                        .setStyle(ButtonStyle.Secondary),
+                );
+
+            await interaction.reply({ 
+                content: `⚠️ **Confirmation Required:** Do you want to spend **${costBigInt.toLocaleString()} XP** to buy **${amount}** Perk Crate(s)?`,
+                components: [row],
+                ephemeral: true 
+            });
+
+        // --- /OPENCRATE (Open and Equip) ---
+        } else if (commandName === 'opencrate') {
+            const amount = interaction.options.getInteger('amount') ?? 1;
+            const { perks, reason, crates, cratesLeft } = openCrates(guildId, userId, amount);
+            if (reason === 'no_crates') {
+                return interaction.reply({
+                    content: crates === 0 
+                        ? `❌ You don't have any unopened crates! Buy one using \`/buycrate\`.`
+                        : `❌ You only have **${crates}** unopened crate(s).`,
+                    ephemeral: true
+                });
+            }
+            if (reason === 'no_perks') {
+                return interaction.reply({
+                    content: '❌ There are no perks available to win right now. Please ask a moderator to check the perk catalog.',
+                    ephemeral: true
+                });
+            }
+
+            const currentPerk = userData.current_perk_id ? getPerk(guildId, userData.current_perk_id) : null;
+            const isFirstTime = !currentPerk; 
+            const replaceInfo = isFirstTime 
+                ? `**INFO:** Since you have no active perk, choosing "Equip Later" will just keep you perk-less for now.`
+                : `**INFO:** Equipping a new perk will **unequip** your current one, and remove any associated role/boost. ` +
+                  (userData.perk_expires_at 
+                    ? `Your current perk is time-limited, so its remaining time will be lost.` 
+                    : `Your old perk stays in your inventory.`);
+
+            if (perks.length > 1) {
+                const summary = summarizeCrateRolls(perks);
+                // One button per rolled perk, rarest first, plus one to keep the current perk.
+                // A message holds 25 buttons at most; anything past that is still in the inventory.
+                const choices = summary.slice(0, 24);
+                const token = createPendingAction(guildId, userId, 'open_crate', { perkIds: choices.map(({ perk }) => perk.id) });
+
+                const buttons = choices.map(({ perk }) => new ButtonBuilder()
+                    .setCustomId(actionButtonId(token, `EQUIP-${perk.id}`))
+                    .setLabel(`Equip ${perk.name}`.slice(0, 80))
+                    .setStyle(ButtonStyle.Primary));
+                buttons.push(new ButtonBuilder()
+                    .setCustomId(actionButtonId(token, 'KEEP'))
+                    .setLabel(isFirstTime ? 'Equip Later' : 'Keep Old Perk')
+                    .setStyle(ButtonStyle.Secondary));
+                const rows = [];
+                for (let i = 0; i < buttons.length; i += 5) {
+                    rows.push(new ActionRowBuilder().addComponents(buttons.slice(i, i + 5)));
+                }
+
+                const summaryEmbed = new EmbedBuilder()
+                    .setColor('#FFD700')
+                    .setTitle(`✨ ${perks.length} Crates Opened!`)
+                    .setDescription(
+                        `You rolled **${summary.length}** different perk(s) and have **${cratesLeft}** crate(s) remaining. \n\n` +
+                        `Your current equipped perk is: **${currentPerk ? currentPerk.name : 'None'}**.\n\n` +
+                        `Pick one of the new perks below to equip it. ${replaceInfo}`
+                    )
+                    .setImage('attachment://crate-summary.png')
+                    .setFooter({ text: `All new perks have been added to your inventory. Switch perks any time with /equip.` });
+
+                return interaction.reply({ 
+                    embeds: [summaryEmbed], 
+                    files: [createCrateSummaryImage(summary, perks.length, guildId)], 
+                    components: rows, 
+                    ephemeral: true 
+                });
+            }
+
+            const [newPerk] = perks;
+            const newPerkName = newPerk.name;
+            
+            // The token remembers which perk was rolled, so only that perk can be equipped
+            const token = createPendingAction(guildId, userId, 'open_crate', { perkId: newPerk.id });
+            
+            const equipButton = new ButtonBuilder()
+                .setCustomId(actionButtonId(token, 'EQUIP'))
+                .setLabel(`Equip ${newPerkName}`)
+                .setStyle(ButtonStyle.Success);
+
+            const keepButton = new ButtonBuilder()
+                .setCustomId(actionButtonId(token, 'KEEP'))
+                .setLabel(isFirstTime ? 'Equip Later' : 'Keep Old Perk') // Dynamic label
+                .setStyle(ButtonStyle.Secondary);
+
+            const row = new ActionRowBuilder().addComponents(equipButton, keepButton);
+            
+            const equipEmbed = new EmbedBuilder()
+                .setColor('#FFD700')
+                .setTitle(`✨ Crate Opened! You received: ${newPerkName} (${getRarity(newPerk).label})`)
+                .setDescription(
+                    `You have opened one crate. You have **${cratesLeft}** remaining. \n\n` +
+                    `Your current equipped perk is: **${currentPerk ? currentPerk.name : 'None'}**.\n\n` +
+                    replaceInfo
+                )
+                .setFooter({ text: `The new perk has been added to your inventory. Switch perks any time with /equip.` });
+
+            await interaction.reply({ embeds: [equipEmbed], components: [row], ephemeral: true });
+
+
+        // --- /INVENTORY, /EQUIP & /UNEQUIP ---
+        } else if (commandName === 'inventory') {
+            const inventory = getInventory(guildId, userId);
+            const lines = inventory.map(perk => 
+                `**${perk.name}** ×${perk.quantity} — ${describePerk(perk)}` +
+                (perk.id === userData.current_perk_id && !userData.perk_expires_at ? ' ✅ *equipped*' : '')
+            );
+            // Equipping a time-limited perk uses up its copy, so it's listed separately
+            if (userData.perk_expires_at) {
+                const equipped = getPerk(guildId, userData.current_perk_id);
+                lines.unshift(`✅ *Equipped:* **${equipped.name}**${formatPerkExpiry(userData.perk_expires_at)}`);
+            }
+
+            const inventoryEmbed = new EmbedBuilder()
+                .setColor('#FFD700')
+                .setTitle(`🎒 ${interaction.user.username}'s Inventory`)
+                .setDescription(lines.length > 0 ? lines.join('\n') : 'You don\'t own any perks yet. Open a crate with `/opencrate`!')
+                .setFooter({ text: 'Use /equip to switch perks and /unequip to go perk-less.' });
+
+            await interaction.reply({ embeds: [inventoryEmbed], ephemeral: true });
+
+        } else if (commandName === 'equip') {
+            const perk = resolvePerkOption(guildId, interaction.options.getString('perk'));
+            if (!perk || !ownsPerk(guildId, userId, perk.id)) {
+                return interaction.reply({ content: '❌ You don\'t own that perk. Check your `/inventory`.', ephemeral: true });
+            }
+            if (perk.id === userData.current_perk_id) {
+                return interaction.reply({ content: `ℹ️ **${perk.name}** is already equipped.`, ephemeral: true });
+            }
+
+            await interaction.deferReply({ ephemeral: true });
+            // Ownership is checked again, as another /equip may have used up the last copy since
+            if (!await equipNewPerk(interaction.member, perk.id)) {
+                return interaction.editReply({ content: '❌ You don\'t own that perk anymore. Check your `/inventory`.' });
+            }
+            const { perk_expires_at } = getUserData(guildId, userId);
+            await interaction.editReply({ content: `✨ **Perk Equipped!** You are now using: **${perk.name}**${formatPerkExpiry(perk_expires_at)}.` });
+
+        } else if (commandName === 'unequip') {
+            if (!userData.current_perk_id) {
+                return interaction.reply({ content: 'ℹ️ You don\'t have a perk equipped.', ephemeral: true });
+            }
+
+            await interaction.deferReply({ ephemeral: true });
+            await removeUserPerk(interaction.member);
+            await interaction.editReply({ 
+                content: userData.perk_expires_at 
+                    ? '✅ Your perk has been unequipped. It was time-limited, so its remaining time is gone.' 
+                    : '✅ Your perk has been unequipped. It is still in your inventory.' 
+            });
+
+        // --- /GIVEXP (Anyone can use, 2 min cooldown) ---
+        } else if (commandName === 'givexp') {
+            const giver = interaction.user;
+            const recipient = interaction.options.getUser('user');
+            const amount = interaction.options.getInteger('amount');
+            
+            const maxGiveXP = getGuildConfig(guildId, 'max_give_xp');
+            if (amount > maxGiveXP) {
+                 return interaction.reply({ content: `❌ The maximum XP you can give at once is **${maxGiveXP.toLocaleString()}**.`, ephemeral: true });
+            }
+
+            // Rate Limit Check
+            const lastUsed = cooldowns.get(`${guildId}:${userId}`);
+            if (lastUsed) {
+                const timeSinceLastUse = Date.now() - lastUsed;
+                const timeLeft = getGuildConfig(guildId, 'give_xp_cooldown_ms') - timeSinceLastUse;
+
+                if (timeLeft > 0) {
+                    const minutes = Math.floor(timeLeft / 60000);
+                    const seconds = Math.floor((timeLeft % 60000) / 1000);
+                    
+                    return interaction.reply({ 
+                        content: `⏳ You are on cooldown! Wait **${minutes}m ${seconds}s** before giving XP again.`, 
+                        ephemeral: true 
+                    });
+                }
+            }
+            
+            if (amount <= 0) {
+                 return interaction.reply({ content: '❌ You must give a positive amount of XP.', ephemeral: true });
+            }
+
+            if (recipient.id === giver.id) {
+                return interaction.reply({ content: '❌ You cannot give XP to yourself.', ephemeral: true });
+            }
+
+            if (recipient.bot) {
+                return interaction.reply({ content: '❌ You cannot give XP to a bot.', ephemeral: true });
+            }
+            
+            // --- NEW: Confirmation Step before execution and cooldown ---
+            const amountBigInt = BigInt(amount);
+
+            if (userData.xp < amountBigInt) {
+                return interaction.reply({
+                    content: `❌ You only have **${userData.xp.toLocaleString()} XP**, so you cannot give **${amountBigInt.toLocaleString()} XP**.`,
+                    ephemeral: true
+                });
+            }
+            
+            const token = createPendingAction(guildId, userId, 'give_xp', { recipientId: recipient.id, amount });
+            const row = new ActionRowBuilder()
+                .addComponents(
+                    new ButtonBuilder()
+                        .setCustomId(actionButtonId(token, 'CONFIRM')) 
+                        .setLabel(`Confirm Give ${amountBigInt.toLocaleString()} XP`)
+                        .setStyle(ButtonStyle.Danger),
+                    new ButtonBuilder()
+                        .setCustomId(actionButtonId(token, 'CANCEL'))
+                        .setLabel('Cancel')
+                        .setStyle(ButtonStyle.Secondary),
+                );
+
+            const cooldownMs = getGuildConfig(guildId, 'give_xp_cooldown_ms');
+            await interaction.reply({
+                content: `⚠️ **Confirmation Required:** Are you sure you want to give **${amountBigInt.toLocaleString()} XP** of your own XP to ${recipient}?` +
+                    (cooldownMs > 0 ? ` This will start your ${formatDuration(cooldownMs)} cooldown.` : ''),
+                components: [row],
+                ephemeral: true
+            });
+
 
-        new SlashCommandBuilder()
-            .setName('givexp')
-            .setDescription('Give XP to a user (2 minute cooldown).')
-            .addUserOption(option =>
-                option.setName('user')
-                    .setDescription('The user to give XP to.')
-                    .setRequired(true))
-            .addIntegerOption(option =>
-                option.setName('amount')
-                    .setDescription(`The amount of XP to give (Max ${MAX_GIVE_XP_AMOUNT.toLocaleString()}).`)
-                    .setRequired(true)
-                    .setMaxValue(MAX_GIVE_XP_AMOUNT) // Set max value here!
-                    .setMinValue(1)),
+        // --- /TRANSACTIONS (Ledger history) ---
+        } else if (commandName === 'transactions') {
+            const targetUser = interaction.options.getUser('user') || interaction.user;
+            const page = (interaction.options.getInteger('page') || 1) - 1;
 
-        new SlashCommandBuilder()
-            .setName('myinfo')
-            .setDescription('Shows your current XP, crates, and equipped perk.'),
+            await interaction.reply({ ...buildTransactionsReply(guildId, targetUser, page), ephemeral: true });
 
-        new SlashCommandBuilder()
-            .setName('leaderboard')
-            .setDescription('Manually updates the live XP leaderboard.'),
-            
-        new SlashCommandBuilder()
-            .setName('perkboard')
-            .setDescription('Shows the Perk leaderboard as a temporary message.'),
+        // --- /TRADE (Two-sided trades between members) ---
+        } else if (commandName === 'trade') {
+            const subcommand = interaction.options.getSubcommand();
+
+            if (subcommand === 'history') {
+                const trades = db.prepare(`
+                    SELECT id FROM trades WHERE guild_id = ? AND (from_id = ? OR to_id = ?) ORDER BY id DESC LIMIT 10
+                `).all(guildId, userId, userId).map(({ id }) => getTrade(guildId, id));
+                const lines = trades.map(trade => 
+                    `\`#${trade.id}\` <t:${Math.floor(trade.created_at / 1000)}:R> <@${trade.from_id}> ➜ <@${trade.to_id}>: ` +
+                    `${describeTradeItems(guildId, trade.offered)} for ${describeTradeItems(guildId, trade.requested)} — ${TRADE_STATUS_LABELS[trade.status]}`
+                );
+                const historyEmbed = new EmbedBuilder()
+                    .setColor('#5865F2')
+                    .setTitle('🤝 Your Trades')
+                    .setDescription(lines.length > 0 ? lines.join('\n') : 'You have no trades yet. Start one with `/trade offer`.');
+                return interaction.reply({ embeds: [historyEmbed], ephemeral: true });
+            }
+
+            const recipient = interaction.options.getUser('user');
+            if (recipient.id === userId || recipient.bot) {
+                return interaction.reply({ content: '❌ You can only trade with another member.', ephemeral: true });
+            }
+
+            const givePerkOption = interaction.options.getString('give_perk');
+            const askPerkOption = interaction.options.getString('ask_perk');
+            const givePerk = givePerkOption ? resolvePerkOption(guildId, givePerkOption) : null;
+            const askPerk = askPerkOption ? resolvePerkOption(guildId, askPerkOption) : null;
+            if ((givePerkOption && !givePerk) || (askPerkOption && !askPerk)) {
+                return interaction.reply({ content: '❌ Could not find that perk. Pick one from the list.', ephemeral: true });
+            }
+
+            const offered = makeTradeItems(interaction.options.getInteger('give_xp'), interaction.options.getInteger('give_crates'), givePerk);
+            const requested = makeTradeItems(interaction.options.getInteger('ask_xp'), interaction.options.getInteger('ask_crates'), askPerk);
+            // A one-sided trade would be a gift, which /givexp already covers with its limits
+            if (isEmptyTradeSide(offered) || isEmptyTradeSide(requested)) {
+                return interaction.reply({ content: '❌ A trade needs something on both sides: at least one `give_` and one `ask_` option.', ephemeral: true });
+            }
+            const missing = findMissingTradeItems(guildId, userId, offered);
+            if (missing) {
+                return interaction.reply({ content: `❌ You don't have ${missing}.`, ephemeral: true });
+            }
+
+            const token = createPendingAction(guildId, userId, 'trade_offer', { recipientId: recipient.id, offered, requested });
+            const row = new ActionRowBuilder()
+                .addComponents(
+                    new ButtonBuilder()
+                        .setCustomId(actionButtonId(token, 'CONFIRM'))
+                        .setLabel('Send Offer')
+                        .setStyle(ButtonStyle.Success),
+                    new ButtonBuilder()
+                        .setCustomId(actionButtonId(token, 'CANCEL'))
+                        .setLabel('Cancel')
+                        .setStyle(ButtonStyle.Secondary),
+                );
+
+            await interaction.reply({ 
+                content: `⚠️ **Confirmation Required:** Offer <@${recipient.id}> ${describeTradeItems(guildId, offered)} in exchange for ${describeTradeItems(guildId, requested)}?\n` +
+                    `Nothing moves until they accept. They have ${formatDuration(TRADE_OFFER_TTL_MS)} to answer.`,
+                components: [row],
+                ephemeral: true 
+            });
+
+        // --- /MARKET (Listings for XP) ---
+        } else if (commandName === 'market') {
+            const subcommand = interaction.options.getSubcommand();
+            const describeListing = listing => 
+                `\`#${listing.id}\` ${describeTradeItems(guildId, listing.items)} for **${BigInt(listing.price).toLocaleString()} XP**`;
+
+            if (subcommand === 'browse') {
+                const requestedPage = (interaction.options.getInteger('page') || 1) - 1;
+                let market = getMarketPage(guildId, requestedPage);
+                const page = Math.min(requestedPage, market.pageCount - 1);
+                if (page !== requestedPage) market = getMarketPage(guildId, page);
+
+                const lines = market.rows.map(listing => 
+                    `${describeListing(listing)} by <@${listing.seller_id}> • ends <t:${Math.floor(listing.expires_at / 1000)}:R>`
+                );
+                const marketEmbed = new EmbedBuilder()
+                    .setColor('#F1C40F')
+                    .setTitle('🛒 Market')
+                    .setDescription(lines.length > 0 ? lines.join('\n') : 'Nothing is for sale right now. List something with `/market sell`.')
+                    .setFooter({ text: `Page ${page + 1} of ${market.pageCount} • ${market.total} listing(s) • Buy with /market buy` });
+                return interaction.reply({ embeds: [marketEmbed], ephemeral: true });
+            }
+
+            if (subcommand === 'mine') {
+                const listings = db.prepare(`
+                    SELECT id FROM market_listings WHERE guild_id = ? AND seller_id = ? ORDER BY id DESC LIMIT 15
+                `).all(guildId, userId).map(({ id }) => getListing(guildId, id));
+                const lines = listings.map(listing => {
+                    const status = listing.status === 'active' 
+                        ? `ends <t:${Math.floor(listing.expires_at / 1000)}:R>`
+                        : listing.status === 'sold' ? `sold to <@${listing.buyer_id}>` : listing.status;
+                    return `${describeListing(listing)} — ${status}`;
+                });
+                const mineEmbed = new EmbedBuilder()
+                    .setColor('#F1C40F')
+                    .setTitle('🛒 Your Listings')
+                    .setDescription(lines.length > 0 ? lines.join('\n') : 'You haven\'t listed anything yet.');
+                return interaction.reply({ embeds: [mineEmbed], ephemeral: true });
+            }
+
+            if (subcommand === 'sell') {
+                const crates = interaction.options.getInteger('crates');
+                const perkOption = interaction.options.getString('perk');
+                if ((crates === null) === (perkOption === null)) {
+                    return interaction.reply({ content: '❌ List either `crates` or a `perk` — one of the two.', ephemeral: true });
+                }
+                const perk = perkOption ? resolvePerkOption(guildId, perkOption) : null;
+                if (perkOption && !perk) {
+                    return interaction.reply({ content: '❌ Could not find that perk. Pick one from the list.', ephemeral: true });
+                }
+
+                const durationText = interaction.options.getString('duration');
+                const durationMs = durationText === null ? MARKET_LISTING_DEFAULT_MS : parseDuration(durationText);
+                if (!durationMs || durationMs > MARKET_LISTING_MAX_MS) {
+                    return interaction.reply({ 
+                        content: `❌ Invalid duration. Use something like \`12h\` or \`7d\`, up to ${formatDuration(MARKET_LISTING_MAX_MS)}.`, 
+                        ephemeral: true 
+                    });
+                }
+
+                const items = makeTradeItems(0, crates, perk);
+                const price = BigInt(interaction.options.getInteger('price'));
+                const result = createListing(guildId, userId, items, price, durationMs);
+                if (result.missing) {
+                    return interaction.reply({ content: `❌ You don't have ${result.missing}.`, ephemeral: true });
+                }
+                return interaction.reply({ 
+                    content: `✅ Listed ${describeTradeItems(guildId, items)} as \`#${result.listingId}\` for **${price.toLocaleString()} XP** for ${formatDuration(durationMs)}. ` +
+                        `The items are held by the market until then; cancel with \`/market cancel listing:${result.listingId}\`.`, 
+                    ephemeral: true 
+                });
+            }
+
+            const listingId = interaction.options.getInteger('listing');
+
+            if (subcommand === 'cancel') {
+                const result = cancelListing(guildId, listingId, userId);
+                const messages = {
+                    cancelled: `✅ Listing \`#${listingId}\` was cancelled and the items are back in your account.`,
+                    gone: `❌ Listing \`#${listingId}\` isn't on the market anymore.`,
+                    not_owner: '❌ You can only cancel your own listings.',
+                };
+                return interaction.reply({ content: messages[result], ephemeral: true });
+            }
+
+            if (subcommand === 'buy') {
+                const listing = getListing(guildId, listingId);
+                if (!listing || listing.status !== 'active' || listing.expires_at <= Date.now()) {
+                    return interaction.reply({ content: `❌ Listing \`#${listingId}\` isn't on the market anymore.`, ephemeral: true });
+                }
+                if (listing.seller_id === userId) {
+                    return interaction.reply({ content: '❌ That is your own listing. Use `/market cancel` to take it back.', ephemeral: true });
+                }
+                const price = BigInt(listing.price);
+                if (userData.xp < price) {
+                    return interaction.reply({ 
+                        content: `❌ You need **${price.toLocaleString()} XP** for this listing, but you only have **${userData.xp.toLocaleString()} XP**!`, 
+                        ephemeral: true 
+                    });
+                }
+
+                const token = createPendingAction(guildId, userId, 'market_buy', { listingId });
+                const row = new ActionRowBuilder()
+                    .addComponents(
+                        new ButtonBuilder()
+                            .setCustomId(actionButtonId(token, 'CONFIRM'))
+                            .setLabel(`Buy for ${price.toLocaleString()} XP`)
+                            .setStyle(ButtonStyle.Success),
+                        new ButtonBuilder()
+                            .setCustomId(actionButtonId(token, 'CANCEL'))
+                            .setLabel('Cancel')
+                            .setStyle(ButtonStyle.Secondary),
+                    );
+                return interaction.reply({ 
+                    content: `⚠️ **Confirmation Required:** Buy ${describeTradeItems(guildId, listing.items)} from <@${listing.seller_id}> for **${price.toLocaleString()} XP**?`,
+                    components: [row],
+                    ephemeral: true 
+                });
+            }
+
+        // --- /DAILY (Daily reward and streak) ---
+        } else if (commandName === 'daily') {
+            const result = claimDaily(guildId, userId);
+            const nextClaim = `<t:${Math.floor(result.nextAt / 1000)}:R>`;
+            if (!result.claimed) {
+                return interaction.reply({ 
+                    content: `⏳ You already claimed today's reward. Your streak is **${result.streak}** day(s); come back ${nextClaim}!`, 
+                    ephemeral: true 
+                });
+            }
+
+            const lines = [`🎁 You received **${result.xp.toLocaleString()} XP**${result.crates > 0 ? ` and **${result.crates}** crate(s)` : ''}!`];
+            lines.push(`🔥 Streak: **${result.streak}** day(s).`);
+            if (result.graceUsed) lines.push('🛟 You missed a day, but your streak was saved. The next missed day ends it.');
+            if (result.streakLost > 1) lines.push(`💔 Your previous streak of **${result.streakLost}** days ended.`);
+            lines.push(`Your next reward is ready ${nextClaim}.`);
+            await interaction.reply({ content: lines.join('\n'), ephemeral: true });
+
+            if (interaction.member) {
+                processLevelUps(interaction.member).catch(error => console.error('Failed to process level-ups:', error));
+            }
+
+        // --- /MYINFO (Show status) ---
+        } else if (commandName === 'myinfo') {
+            const xp = userData.xp; // This is a BigInt now
+            const crateCost = BigInt(getGuildConfig(guildId, 'crate_cost'));
+            const xpNeeded = crateCost - (xp % crateCost);
+            // Worked out for this channel, so channel multipliers show where the member is
+            const messageAward = calculateXPAward(getGuildConfig(guildId, 'xp_per_message'), {
+                guildId, userId, userData, channel: interaction.channel, member: interaction.member,
+            });
+            const currentPerk = userData.current_perk_id ? getPerk(guildId, userData.current_perk_id) : null;
+            const levelInfo = getLevelInfo(guildId, xp);
+            const { position, total } = getLeaderboardPosition(guildId, userId);
+            const daily = getDailyStreak(guildId, userId);
             
-        new SlashCommandBuilder() 
-            .setName('resetallboards')
-            .setDescription('[MOD ONLY] Resets all user XP, crate, and perk board data.'),
+            const myInfoEmbed = new EmbedBuilder()
+                .setColor('#57F287')
+                .setTitle(`👤 ${interaction.user.username}'s Status`)
+                .setDescription(
+                    `**Rank:** You are #${position.toLocaleString()} of ${total.toLocaleString()} 🏅\n` +
+                    `**Level:** ${levelInfo.level} (${levelInfo.percent}% to level ${levelInfo.level + 1}) ⭐\n` +
+                    `**Current XP:** ${xp.toLocaleString()} XP\n` +
+                    `**Unopened Crates:** ${userData.crates.toLocaleString()} 📦\n` +
+                    `**Equipped Perk:** ${currentPerk ? currentPerk.name : 'None'} 💎${formatPerkExpiry(userData.perk_expires_at)}\n` +
+                    `**Daily Streak:** ${daily.streak} day(s) 🔥${daily.claimedToday ? '' : ' — `/daily` is ready!'}`
+                )
+                .addFields(
+                    {
+                        name: 'Next Level Progress',
+                        value: `**${levelInfo.xpIntoLevel.toLocaleString()} / ${levelInfo.xpForLevel.toLocaleString()} XP**\n${levelInfo.xpToNext.toLocaleString()} XP to go.`,
+                        inline: true
+                    },
+                    { 
+                        name: 'Next Crate Progress', 
+                        value: `You need **${xpNeeded.toLocaleString()} XP** to buy your next crate.`,
+                        inline: true
+                    },
+                    {
+                        name: 'XP Per Message',
+                        value: `**${messageAward.amount.toLocaleString()} XP**\n${formatXPModifiers(messageAward.modifiers)}`,
+                        inline: true
+                    }
+                )
+                .setImage('attachment://rank-card.png')
+                .setFooter({ text: `Perk Crate Cost: ${crateCost.toLocaleString()} XP | Use /opencrate to open.` });
+
+            await interaction.deferReply({ ephemeral: true });
+            const rankCard = await createRankCardImage(guildId, interaction.user);
+            await interaction.editReply({ embeds: [myInfoEmbed], files: [rankCard] });
+
+        // --- /RANK (Rank card) ---
+        } else if (commandName === 'rank') {
+            const targetUser = interaction.options.getUser('user') || interaction.user;
+            if (targetUser.bot) {
+                return interaction.reply({ content: '❌ Bots don\'t have a rank.', ephemeral: true });
+            }
+
+            await interaction.deferReply();
+            const rankCard = await createRankCardImage(guildId, targetUser);
+            await interaction.editReply({ files: [rankCard] });
             
-    ].map(command => command.toJSON());
+        // --- /LEADERBOARD & /PERKBOARD ---
+        } else if (commandName === 'leaderboard' && interaction.options.getSubcommand() === 'view') {
+            const sort = interaction.options.getString('sort') || 'xp';
+            const page = (interaction.options.getInteger('page') || 1) - 1;
+
+            await interaction.deferReply({ ephemeral: true });
+            await interaction.editReply(await buildLeaderboardReply(client, guildId, sort, page));
+
+        } else if (commandName === 'leaderboard') {
+            const channelId = getGuildSetting(guildId, 'leaderboard_channel_id');
+            if (!channelId) {
+                return interaction.reply({ content: '❌ No leaderboard channel is configured for this server. Use `/setup` first.', ephemeral: true });
+            }
+            await interaction.deferReply({ ephemeral: true });
+            const result = await sendGuildLeaderboard(client, guildId, { force: true });
+            await interaction.editReply({ 
+                content: result === 'backoff'
+                    ? `⏳ Discord is rate limiting the leaderboard in <#${channelId}>. It will update automatically once the pause is over.`
+                    : `✅ The **XP Leaderboard** has been manually triggered to update in <#${channelId}>!`
+            });
+        } else if (commandName === 'perkboard') {
+            await interaction.deferReply(); 
+            const topPerks = db.prepare('SELECT name, obtained FROM perks WHERE guild_id = ? ORDER BY obtained DESC LIMIT 10').all(guildId);
+            if (topPerks.length === 0) return interaction.editReply('No perks have been obtained yet!');
+            const perkAttachment = createPerkLeaderboardImage(topPerks, guildId);
+            await interaction.editReply({ 
+                content: `💎 **Perk Board (Most Obtained Perks)** 💎`,
+                files: [perkAttachment]
+            });
+        
+        // --- /ODDS (Drop rates and pity progress) ---
+        } else if (commandName === 'odds') {
+            const catalog = getPerkCatalog(guildId);
+            const droppable = catalog.filter(perk => perk.enabled && perk.weight > 0);
+            const totalWeight = droppable.reduce((sum, perk) => sum + perk.weight, 0);
+            // Disabled perks still count for the observed rates, as they were obtained while enabled
+            const totalObtained = catalog.reduce((sum, perk) => sum + perk.obtained, 0);
+
+            const oddsEmbed = new EmbedBuilder()
+                .setColor('#FFD700')
+                .setTitle('🎲 Crate Odds')
+                .setFooter({ text: `Observed rates are based on ${totalObtained.toLocaleString()} perk(s) obtained in this server.` });
+
+            const pity = getPitySettings(guildId);
+            const pityTier = RARITY_TIERS[pity.minRarity];
+            if (pity.threshold > 0) {
+                const misses = getPityMisses(guildId, userId);
+                oddsEmbed.setDescription(
+                    `**Pity:** After **${pity.threshold}** crates in a row without a perk of **${pityTier.label}** rarity or better, the next one is guaranteed to be one.\n` +
+                    `**Your progress:** ${Math.min(misses, pity.threshold)}/${pity.threshold}` +
+                    (misses >= pity.threshold ? ' — your next crate is guaranteed!' : '')
+                );
+            } else {
+                oddsEmbed.setDescription('**Pity:** *Off*');
+            }
+
+            for (const tier of Object.values(RARITY_TIERS).reverse()) {
+                const perks = catalog.filter(perk => getRarity(perk) === tier);
+                if (perks.length === 0) continue;
+
+                const tierWeight = perks.filter(perk => droppable.includes(perk)).reduce((sum, perk) => sum + perk.weight, 0);
+                const lines = perks.map(perk => {
+                    const configured = droppable.includes(perk) && totalWeight > 0 ? formatChance((perk.weight / totalWeight) * 100) : '*disabled*';
+                    const observed = totalObtained > 0 ? formatChance((perk.obtained / totalObtained) * 100) : '—';
+                    return `**${perk.name}** — ${configured} • observed ${observed} (${perk.obtained.toLocaleString()}×)`;
+                });
+                oddsEmbed.addFields({ 
+                    name: `${tier.label} — ${totalWeight > 0 ? formatChance((tierWeight / totalWeight) * 100) : '0%'}`, 
+                    value: lines.join('\n').slice(0, 1024) 
+                });
+            }
+
+            await interaction.reply({ embeds: [oddsEmbed], ephemeral: true });
+
+        // --- /RESETALLBOARDS (Admin/Mod Command with Confirmation) ---
+        } else if (commandName === 'resetallboards') {
+            const scope = interaction.options.getString('scope') || 'all';
+            const targetUser = interaction.options.getUser('user');
+            const token = createPendingAction(guildId, userId, 'reset_all', { scope, targetId: targetUser?.id || null });
+            const resetRow = new ActionRowBuilder()
+                .addComponents(
+                    new ButtonBuilder()
+                        .setCustomId(actionButtonId(token, 'CONFIRM'))
+                        .setLabel(`CONFIRM: Reset ${RESET_SCOPES[scope].label}`)
+                        .setStyle(ButtonStyle.Danger),
+                    new ButtonBuilder()
+                        .setCustomId(actionButtonId(token, 'CANCEL'))
+                        .setLabel('Cancel')
+                        .setStyle(ButtonStyle.Secondary),
+                );
+
+            await interaction.reply({
+                content: `🛑 **DANGER ZONE: ARE YOU SURE?** This action will delete ${RESET_SCOPES[scope].describe(targetUser ? `${targetUser}` : null)}. ` +
+                    'A backup is taken first and can be restored with `/backup restore`.',
+                components: [resetRow],
+                ephemeral: true
+            });
+
+        // --- /BACKUP (Admin/Mod Command) ---
+        } else if (commandName === 'backup') {
+            const subcommand = interaction.options.getSubcommand();
+
+            if (subcommand === 'list') {
+                const backups = listBackups(guildId);
+                const lines = backups.slice(0, 25).map(backup =>
+                    `\`${backup.id}\` — <t:${Math.floor(backup.createdAt / 1000)}:f> (${(backup.size / 1048576).toFixed(1)} MB)`
+                );
+                const backupEmbed = new EmbedBuilder()
+                    .setColor(0x3498DB)
+                    .setTitle('💾 Database Backups')
+                    .setDescription(lines.length > 0 ? lines.join('\n') : '*No backups yet.*')
+                    .setFooter({ text: `${backups.length} backup(s). Scheduled backups run every ${formatDuration(BACKUP_INTERVAL_MS)}; the last ${BACKUP_KEEP_SCHEDULED} are kept, and the last ${BACKUP_KEEP_BEFORE_ACTION} taken before resets and restores on this server.` });
+                return interaction.reply({ embeds: [backupEmbed], ephemeral: true });
+            }
+
+            const backupId = interaction.options.getString('backup');
+            const backup = listBackups(guildId).find(candidate => candidate.id === backupId);
+            if (!backup) {
+                return interaction.reply({ content: '❌ There is no backup with that id. See `/backup list`.', ephemeral: true });
+            }
+
+            const token = createPendingAction(guildId, userId, 'restore_backup', { backupId });
+            const restoreRow = new ActionRowBuilder()
+                .addComponents(
+                    new ButtonBuilder()
+                        .setCustomId(actionButtonId(token, 'CONFIRM'))
+                        .setLabel('CONFIRM: Restore')
+                        .setStyle(ButtonStyle.Danger),
+                    new ButtonBuilder()
+                        .setCustomId(actionButtonId(token, 'CANCEL'))
+                        .setLabel('Cancel')
+                        .setStyle(ButtonStyle.Secondary),
+                );
+            await interaction.reply({
+                content: `⚠️ **Restore \`${backup.id}\`?** Everyone's XP, crates, perks, streaks and open market listings on this server go back to <t:${Math.floor(backup.createdAt / 1000)}:f>. ` +
+                    'Settings, the perk catalog and the trade and sales history are kept. A backup of the current state is taken first.',
+                components: [restoreRow],
+                ephemeral: true
+            });
+
+        // --- /XPADMIN and /CRATEADMIN (Admin/Mod balance corrections) ---
+        } else if (commandName === 'xpadmin' || commandName === 'crateadmin') {
+            const mode = interaction.options.getSubcommand();
+            const targetUser = interaction.options.getUser('user');
+            const amount = interaction.options.getInteger('amount');
+            const reason = interaction.options.getString('reason');
+            const balance = commandName === 'xpadmin' ? 'xp' : 'crates';
+
+            if (targetUser.bot) {
+                return interaction.reply({ content: '❌ Bots don\'t collect XP or crates.', ephemeral: true });
+            }
+
+            const action = `${balance}_${mode}`;
+            const { before, after } = adjustBalance(guildId, targetUser.id, balance, mode, BigInt(amount));
+            const details = `${before.toLocaleString()} → ${after.toLocaleString()} ${balance === 'xp' ? 'XP' : 'crate(s)'}`;
+            await interaction.reply({ content: `✅ ${MOD_AUDIT_ACTIONS[action]} for <@${targetUser.id}>: ${details}.`, ephemeral: true });
+            await logModAction(interaction, targetUser.id, action, details, reason);
+
+            // Added XP can reach new levels. Levels already reached are kept when XP is removed
+            if (balance === 'xp' && after > before) {
+                const targetMember = await interaction.guild.members.fetch(targetUser.id).catch(() => null);
+                if (targetMember) await processLevelUps(targetMember);
+            }
+
+        // --- /MODLOG (Admin/Mod audit log) ---
+        } else if (commandName === 'modlog') {
+            const targetUser = interaction.options.getUser('user');
+            const entries = getModAuditLog(guildId, targetUser?.id);
+            const lines = entries.map(entry => {
+                // Long reasons are cut so the whole page fits in one embed
+                const reason = entry.reason.length > 150 ? `${entry.reason.slice(0, 149)}…` : entry.reason;
+                return `<t:${Math.floor(entry.created_at / 1000)}:R> <@${entry.moderator_id}> → <@${entry.target_id}>: **${MOD_AUDIT_ACTIONS[entry.action]}** ${entry.details}\n↳ *${reason}*`;
+            });
+            const logEmbed = new EmbedBuilder()
+                .setColor(0xE67E22)
+                .setTitle(targetUser ? `🛡️ Moderator Actions on ${targetUser.username}` : '🛡️ Moderator Actions')
+                .setDescription(lines.length > 0 ? lines.join('\n') : '*No moderator actions yet.*')
+                .setFooter({ text: `The latest ${MOD_LOG_PAGE_SIZE} actions are shown.` });
+            await interaction.reply({ embeds: [logEmbed], ephemeral: true, allowedMentions: { parse: [] } });
+
+        // --- /XPMULTIPLIER (Admin/Mod channel and role multipliers) ---
+        } else if (commandName === 'xpmultiplier') {
+            const subcommand = interaction.options.getSubcommand();
+
+            if (subcommand === 'list') {
+                const describe = (multipliers, mention) => multipliers.size > 0
+                    ? [...multipliers].map(([id, multiplier]) => `${mention(id)}: **${formatMultiplier(multiplier)}**`).join('\n')
+                    : '*None*';
+                const event = getActiveXPEvent(guildId);
+                const listEmbed = new EmbedBuilder()
+                    .setColor('#5865F2')
+                    .setTitle('✖️ XP Multipliers')
+                    .setDescription('Channel, role, event and perk multipliers multiply with each other.')
+                    .addFields(
+                        { name: 'Channels', value: describe(getXPMultipliers(guildId, 'channel'), id => `<#${id}>`), inline: true },
+                        { name: 'Roles (highest counts)', value: describe(getXPMultipliers(guildId, 'role'), id => `<@&${id}>`), inline: true },
+                        {
+                            name: 'XP Event',
+                            value: event ? `**${formatMultiplier(event.multiplier)}** until <t:${Math.floor(event.ends_at / 1000)}:f>` : '*None running*',
+                            inline: true
+                        },
+                    );
+                return interaction.reply({ embeds: [listEmbed], ephemeral: true });
+            }
+
+            const multiplier = interaction.options.getNumber('multiplier');
+            const target = subcommand === 'channel' ? interaction.options.getChannel('channel') : interaction.options.getRole('role');
+            setXPMultiplier(guildId, subcommand, target.id, multiplier);
+
+            const earned = subcommand === 'role'
+                ? `XP earned by members with ${target}`
+                : `XP earned in ${target.type === ChannelType.GuildCategory ? `every channel of ${target}` : target}`;
+            await interaction.reply({
+                content: multiplier === 1
+                    ? `✅ ${earned} is back to normal.`
+                    : `✅ ${earned} is now multiplied by **${formatMultiplier(multiplier)}**.`,
+                ephemeral: true,
+                allowedMentions: { parse: [] },
+            });
+
+        // --- /EVENT (Timed server-wide XP events) ---
+        } else if (commandName === 'event') {
+            const subcommand = interaction.options.getSubcommand();
+
+            if (subcommand === 'status') {
+                const event = getActiveXPEvent(guildId);
+                const endsAt = event && Math.floor(event.ends_at / 1000);
+                return interaction.reply({
+                    content: event
+                        ? `🎉 A **${formatMultiplier(event.multiplier)} XP event** is running until <t:${endsAt}:f> (<t:${endsAt}:R>).`
+                        : 'ℹ️ No XP event is running right now.',
+                    ephemeral: true
+                });
+            }
+
+            if (subcommand === 'stop') {
+                const event = stopXPEvent(guildId);
+                if (!event) {
+                    return interaction.reply({ content: '❌ No XP event is running.', ephemeral: true });
+                }
+                await announceXPEvent(interaction.guild, event, `⏹️ The **${formatMultiplier(event.multiplier)} XP event** was ended early.`);
+                return interaction.reply({ content: `✅ Ended the ${formatMultiplier(event.multiplier)} XP event.`, ephemeral: true });
+            }
+
+            const multiplier = interaction.options.getNumber('multiplier');
+            const durationText = interaction.options.getString('duration');
+            const durationMs = parseDuration(durationText);
+            if (durationMs === null) {
+                return interaction.reply({ content: `❌ \`${durationText}\` isn't a valid duration. Use e.g. \`30m\`, \`2h\` or \`1d12h\`.`, ephemeral: true });
+            }
+            if (durationMs > XP_EVENT_MAX_DURATION_MS) {
+                return interaction.reply({ content: `❌ XP events run for ${formatDuration(XP_EVENT_MAX_DURATION_MS)} at most.`, ephemeral: true });
+            }
+
+            const channel = interaction.options.getChannel('channel') || interaction.channel;
+            const event = startXPEvent(guildId, interaction.user.id, multiplier, durationMs, channel?.id ?? null);
+            if (!event) {
+                const running = getActiveXPEvent(guildId);
+                return interaction.reply({
+                    content: `❌ A ${formatMultiplier(running.multiplier)} XP event is already running until <t:${Math.floor(running.ends_at / 1000)}:f>. End it with \`/event stop\` first.`,
+                    ephemeral: true
+                });
+            }
+
+            const endsAt = Math.floor(event.ends_at / 1000);
+            const announced = await announceXPEvent(interaction.guild, event,
+                `🎉 **${formatMultiplier(multiplier)} XP event!** Everyone earns ${formatMultiplier(multiplier)} XP until <t:${endsAt}:f> (<t:${endsAt}:R>).`);
+            await interaction.reply({
+                content: `✅ Started a ${formatMultiplier(multiplier)} XP event for ${formatDuration(durationMs)}.` +
+                    (announced ? '' : `\n⚠️ The announcement couldn't be posted${channel ? ` in ${channel}` : ''}.`),
+                ephemeral: true
+            });
+
+        // --- /CONFIG (Admin/Mod per-server settings) ---
+        } else if (commandName === 'config') {
+            const subcommand = interaction.options.getSubcommand();
+            const key = interaction.options.getString('key');
+            if (key && !Object.hasOwn(CONFIG_KEYS, key)) {
+                return interaction.reply({ content: '❌ Unknown setting. Pick one from the list.', ephemeral: true });
+            }
+
+            if (subcommand === 'get') {
+                const keys = key ? [key] : Object.keys(CONFIG_KEYS);
+                const lines = keys.map(configKey => {
+                    const isDefault = Object.hasOwn(GUILD_SETTING_DEFAULTS, configKey)
+                        && !db.prepare('SELECT 1 FROM settings WHERE guild_id = ? AND key = ?').get(guildId, configKey);
+                    const line = `**${configKey}:** ${formatConfigValue(configKey, getGuildSetting(guildId, configKey))}${isDefault ? ' *(default)*' : ''}`;
+                    return key ? `${line}\n${CONFIG_KEYS[configKey].description}` : line;
+                });
+                const configEmbed = new EmbedBuilder()
+                    .setColor('#5865F2')
+                    .setTitle('⚙️ Server Configuration')
+                    .setDescription(lines.join('\n'))
+                    .setFooter({ text: 'Change a setting with /config set, or copy them all with /config export.' });
+                return interaction.reply({ embeds: [configEmbed], ephemeral: true });
+            }
+
+            if (subcommand === 'export') {
+                const file = new AttachmentBuilder(Buffer.from(JSON.stringify(exportGuildConfig(guildId), null, 2)), { name: `config-${guildId}.json` });
+                return interaction.reply({ content: '📤 Here are the settings of this server. Load them elsewhere with `/config import`.', files: [file], ephemeral: true });
+            }
+
+            let changedKeys;
+            let skippedKeys = [];
+            if (subcommand === 'import') {
+                const attachment = interaction.options.getAttachment('file');
+                if (attachment.size > CONFIG_IMPORT_MAX_BYTES) {
+                    return interaction.reply({ content: '❌ That file is too big to be a `/config export`.', ephemeral: true });
+                }
+                await interaction.deferReply({ ephemeral: true });
+                try {
+                    const response = await fetch(attachment.url);
+                    const { changed, skipped } = importGuildConfig(interaction.guild, JSON.parse(await response.text()));
+                    changedKeys = changed;
+                    skippedKeys = skipped;
+                } catch (error) {
+                    const message = error instanceof SyntaxError ? 'The file is not valid JSON.' : error.message;
+                    return interaction.editReply({ content: `❌ Nothing was imported. ${message}` });
+                }
+            } else {
+                try {
+                    changedKeys = setGuildConfig(interaction.guild, { [key]: subcommand === 'set' ? interaction.options.getString('value') : null });
+                } catch (error) {
+                    return interaction.reply({ content: `❌ ${error.message}`, ephemeral: true });
+                }
+            }
+
+            const summary = subcommand === 'import'
+                ? `✅ Imported the settings. ${changedKeys.length > 0 ? `Changed: ${changedKeys.join(', ')}.` : 'Nothing changed.'}` +
+                    (skippedKeys.length > 0 ? `\n⚠️ Skipped channels and roles that don't exist here: ${skippedKeys.join(', ')}.` : '')
+                : `✅ **${key}** is now ${formatConfigValue(key, getGuildSetting(guildId, key))}${subcommand === 'reset' ? ' (the default)' : ''}.`;
+            await (interaction.deferred ? interaction.editReply({ content: summary }) : interaction.reply({ content: summary, ephemeral: true }));
+
+            await applyConfigChanges(client, guildId, changedKeys);
+
+        // --- /SETUP (Per-server channel and role configuration) ---
+        } else if (commandName === 'setup') {
+            const leaderboardChannel = interaction.options.getChannel('leaderboard_channel');
+            const levelUpChannel = interaction.options.getChannel('level_up_channel');
+            const levelBase = interaction.options.getInteger('level_base');
+            const levelExponent = interaction.options.getNumber('level_exponent');
+            const cardTheme = interaction.options.getString('card_theme');
+            const cardAccent = interaction.options.getString('card_accent')?.trim();
+            const timeZone = interaction.options.getString('timezone');
+            const modLogChannel = interaction.options.getChannel('mod_log_channel');
+
+            // The same checks and follow-ups as /config set
+            const values = {};
+            if (leaderboardChannel) values.leaderboard_channel_id = leaderboardChannel.id;
+            if (levelUpChannel) values.level_up_channel_id = levelUpChannel.id;
+            if (levelBase !== null) values.level_curve_base = levelBase;
+            if (levelExponent !== null) values.level_curve_exponent = levelExponent;
+            if (cardTheme) values.card_theme = cardTheme;
+            if (timeZone) values.timezone = timeZone;
+            if (modLogChannel) values.mod_log_channel_id = modLogChannel.id;
+            if (cardAccent) values.card_accent_color = cardAccent.toLowerCase() === 'default' ? null : cardAccent;
+
+            let changedKeys;
+            try {
+                changedKeys = setGuildConfig(interaction.guild, values);
+            } catch (error) {
+                return interaction.reply({ content: `❌ ${error.message}`, ephemeral: true });
+            }
+
+            const leaderboardChannelId = getGuildSetting(guildId, 'leaderboard_channel_id');
+            const levelUpChannelId = getGuildSetting(guildId, 'level_up_channel_id');
+            const modLogChannelId = getGuildSetting(guildId, 'mod_log_channel_id');
+            const curve = getLevelCurve(guildId);
+            const theme = getGuildTheme(guildId);
+            const rolePerks = getPerkCatalog(guildId).filter(perk => perk.effect_type === 'role');
+            const setupEmbed = new EmbedBuilder()
+                .setColor('#5865F2')
+                .setTitle('⚙️ Server Setup')
+                .setDescription(
+                    `**Leaderboard Channel:** ${leaderboardChannelId ? `<#${leaderboardChannelId}>` : '*Not set*'}\n` +
+                    `**Level-Up Channel:** ${levelUpChannelId ? `<#${levelUpChannelId}>` : '*Not set* (no announcements)'}\n` +
+                    `**Mod-Log Channel:** ${modLogChannelId ? `<#${modLogChannelId}>` : '*Not set* (actions are only kept in \`/modlog\`)'}\n` +
+                    `**Level Curve:** ${curve.base.toLocaleString()} × level^${curve.exponent} total XP\n` +
+                    `**Card Theme:** ${theme.label} (accent ${theme.accent})\n` +
+                    `**Timezone:** ${getGuildTimeZone(guildId)} (for \`/daily\`)\n\n` +
+                    `**Perk Roles** (change with \`/perkadmin edit\`):\n` +
+                    (rolePerks.length > 0
+                        ? rolePerks.map(perk => `${perk.name}: ${perk.role_id ? `<@&${perk.role_id}>` : '*Not set*'}`).join('\n')
+                        : '*No role perks*')
+                );
+
+            await interaction.reply({ embeds: [setupEmbed], ephemeral: true });
+            await applyConfigChanges(client, guildId, changedKeys);
+
+        // --- /PERKADMIN (Perk catalog management) ---
+        } else if (commandName === 'perkadmin') {
+            const subcommand = interaction.options.getSubcommand();
+
+            if (subcommand === 'list') {
+                const catalog = getPerkCatalog(guildId);
+                const totalWeight = catalog.filter(perk => perk.enabled).reduce((sum, perk) => sum + perk.weight, 0);
+                const lines = catalog.map(perk => {
+                    const chance = perk.enabled && totalWeight > 0 ? `${((perk.weight / totalWeight) * 100).toFixed(2)}%` : 'disabled';
+                    return `**${perk.name}** [${getRarity(perk).label}] — ${chance} (weight ${perk.weight}) • ${describePerk(perk)} • obtained ${perk.obtained.toLocaleString()}×`;
+                });
+                const listEmbed = new EmbedBuilder()
+                    .setColor('#FFD700')
+                    .setTitle('💎 Perk Catalog')
+                    .setDescription(lines.length > 0 ? lines.join('\n') : 'The catalog is empty. Add a perk with `/perkadmin add`.');
+                return interaction.reply({ embeds: [listEmbed], ephemeral: true });
+            }
+
+            if (subcommand === 'pity') {
+                const threshold = interaction.options.getInteger('threshold');
+                const rarity = interaction.options.getString('rarity');
+                const values = {};
+                if (threshold !== null) values.pity_threshold = threshold;
+                if (rarity) values.pity_min_rarity = rarity;
+                let changedKeys;
+                try {
+                    changedKeys = setGuildConfig(interaction.guild, values);
+                } catch (error) {
+                    return interaction.reply({ content: `❌ ${error.message}`, ephemeral: true });
+                }
+
+                const pity = getPitySettings(guildId);
+                await interaction.reply({ 
+                    content: pity.threshold > 0
+                        ? `✅ A perk of **${RARITY_TIERS[pity.minRarity].label}** rarity or better is guaranteed after **${pity.threshold}** crates in a row without one.`
+                        : `✅ Pity is **off**. Set a \`threshold\` above 0 to turn it on.`, 
+                    ephemeral: true 
+                });
+                return applyConfigChanges(client, guildId, changedKeys);
+            }
+
+            if (subcommand === 'add') {
+                const name = interaction.options.getString('name').trim();
+                if (resolvePerkOption(guildId, name)) {
+                    return interaction.reply({ content: `❌ A perk called **${name}** already exists.`, ephemeral: true });
+                }
+
+                const boostPercent = interaction.options.getNumber('boost_percent');
+                const durationText = interaction.options.getString('duration');
+                const durationMs = durationText === null ? null : parseDuration(durationText);
+                if (durationText !== null && !durationMs) {
+                    return interaction.reply({ content: '❌ Invalid duration. Use something like `30m`, `12h`, `7d` or `1d12h`.', ephemeral: true });
+                }
+                const perk = {
+                    name,
+                    weight: interaction.options.getNumber('weight'),
+                    effect_type: interaction.options.getString('effect'),
+                    effect_value: boostPercent === null ? null : boostPercent / 100,
+                    role_id: interaction.options.getRole('role')?.id ?? null,
+                    duration_ms: durationMs,
+                    rarity: interaction.options.getString('rarity') ?? 'common',
+                    enabled: interaction.options.getBoolean('enabled') ?? true,
+                };
+                const error = validatePerk(perk);
+                if (error) return interaction.reply({ content: `❌ ${error}`, ephemeral: true });
 
-    await client.application.commands.set(commands);
-    console.log('Slash commands registered.');
+                db.prepare(`
+                    INSERT INTO perks (guild_id, name, weight, effect_type, effect_value, role_id, duration_ms, rarity, enabled)
+                    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+                `).run(guildId, perk.name, perk.weight, perk.effect_type, perk.effect_value, perk.role_id, perk.duration_ms, perk.rarity, perk.enabled ? 1 : 0);
 
-    await new Promise(resolve => setTimeout(resolve, 5000));
-    
-    await autoSendLeaderboards(client); 
-    
-    setInterval(() => {
-        autoSendLeaderboards(client);
-    }, INTERVAL_MS);
+                return interaction.reply({ content: `✅ Added the ${getRarity(perk).label} perk **${perk.name}** (${describePerk(perk)}).`, ephemeral: true });
+            }
 
-    console.log(`Automatic leaderboard updates started. Interval: ${INTERVAL_MS / 60000} minute(s).`);
-});
+            // equip and strip act on a member rather than the catalog
+            const targetUser = interaction.options.getUser('user');
+            const targetMember = targetUser && await interaction.guild.members.fetch(targetUser.id).catch(() => null);
+            if (targetUser && !targetMember) {
+                return interaction.reply({ content: '❌ That user is not a member of this server.', ephemeral: true });
+            }
+            const reason = interaction.options.getString('reason');
 
-client.on('messageCreate', (message) => {
-    if (message.author.bot || !message.content || !message.guild) return;
-    // Ensure user exists before adding XP on every message
-    getUserData(message.author.id); 
-    addXP(message.author.id, XP_PER_MESSAGE);
-});
+            if (subcommand === 'strip') {
+                const { current_perk_id } = getUserData(guildId, targetUser.id);
+                const equippedPerk = current_perk_id ? getPerk(guildId, current_perk_id) : null;
+                if (!equippedPerk) {
+                    return interaction.reply({ content: `ℹ️ <@${targetUser.id}> has no perk equipped.`, ephemeral: true });
+                }
 
+                await removeUserPerk(targetMember);
+                // Time-limited perks used up their copy when they were equipped
+                if (!equippedPerk.duration_ms && ownsPerk(guildId, targetUser.id, equippedPerk.id)) {
+                    removeFromInventory(guildId, targetUser.id, equippedPerk.id);
+                }
 
-// --- Interaction Handler for Slash Commands and Buttons ---
+                await interaction.reply({ content: `✅ Stripped **${equippedPerk.name}** from <@${targetUser.id}>.`, ephemeral: true });
+                return logModAction(interaction, targetUser.id, 'perk_strip', equippedPerk.name, reason);
+            }
 
-client.on('interactionCreate', async (interaction) => {
-    if (interaction.isCommand()) {
-        const { commandName } = interaction;
-        const userId = interaction.user.id;
-        const userData = getUserData(userId); 
-        
-        // --- /BUYCRATE (Purchase Initiation) ---
-        if (commandName === 'buycrate') {
-            const amount = interaction.options.getInteger('amount');
-            // Since CRATE_COST is small, we can use standard multiplication for cost, 
-            // but compare it against the BigInt XP
-            const cost = amount * CRATE_COST; 
-            const costBigInt = BigInt(cost);
+            const perk = resolvePerkOption(guildId, interaction.options.getString('perk'));
+            if (!perk) {
+                return interaction.reply({ content: '❌ Could not find that perk. Pick one from the list.', ephemeral: true });
+            }
 
-            if (userData.xp < costBigInt) {
-                return interaction.reply({
-                    content: `❌ You need **${costBigInt.toLocaleString()} XP** to buy ${amount} crate(s), but you only have **${userData.xp.toLocaleString()} XP**!`,
-                    ephemeral: true
+            if (subcommand === 'equip') {
+                const given = !ownsPerk(guildId, targetUser.id, perk.id);
+                if (given) addToInventory(guildId, targetUser.id, perk.id);
+                if (!await equipNewPerk(targetMember, perk.id)) {
+                    // The member doesn't keep a copy given only for this
+                    if (given && ownsPerk(guildId, targetUser.id, perk.id)) removeFromInventory(guildId, targetUser.id, perk.id);
+                    return interaction.reply({ content: '❌ The perk could not be equipped. Please try again.', ephemeral: true });
+                }
+
+                const details = `${perk.name}${given ? ' (added to their inventory)' : ''}`;
+                await interaction.reply({ content: `✅ Equipped **${perk.name}** on <@${targetUser.id}>${given ? ' (added to their inventory)' : ''}.`, ephemeral: true });
+                return logModAction(interaction, targetUser.id, 'perk_equip', details, reason);
+            }
+
+            if (subcommand === 'edit') {
+                const newName = interaction.options.getString('name')?.trim();
+                if (newName) {
+                    const existing = resolvePerkOption(guildId, newName);
+                    if (existing && existing.id !== perk.id) {
+                        return interaction.reply({ content: `❌ A perk called **${newName}** already exists.`, ephemeral: true });
+                    }
+                }
+
+                const boostPercent = interaction.options.getNumber('boost_percent');
+                const enabled = interaction.options.getBoolean('enabled');
+                const durationText = interaction.options.getString('duration')?.trim().toLowerCase();
+                let durationMs = perk.duration_ms;
+                if (durationText === 'forever') {
+                    durationMs = null;
+                } else if (durationText) {
+                    durationMs = parseDuration(durationText);
+                    if (!durationMs) {
+                        return interaction.reply({ content: '❌ Invalid duration. Use something like `30m`, `12h`, `7d` or `1d12h`, or `forever`.', ephemeral: true });
+                    }
+                }
+                const updated = {
+                    ...perk,
+                    name: newName || perk.name,
+                    weight: interaction.options.getNumber('weight') ?? perk.weight,
+                    effect_type: interaction.options.getString('effect') ?? perk.effect_type,
+                    effect_value: boostPercent === null ? perk.effect_value : boostPercent / 100,
+                    role_id: interaction.options.getRole('role')?.id ?? perk.role_id,
+                    duration_ms: durationMs,
+                    rarity: interaction.options.getString('rarity') ?? perk.rarity,
+                    enabled: enabled === null ? perk.enabled : (enabled ? 1 : 0),
+                };
+                const error = validatePerk(updated);
+                if (error) return interaction.reply({ content: `❌ ${error}`, ephemeral: true });
+
+                db.prepare(`
+                    UPDATE perks SET name = ?, weight = ?, effect_type = ?, effect_value = ?, role_id = ?, duration_ms = ?, rarity = ?, enabled = ?
+                    WHERE id = ?
+                `).run(updated.name, updated.weight, updated.effect_type, updated.effect_value, updated.role_id, updated.duration_ms, updated.rarity, updated.enabled, perk.id);
+
+                return interaction.reply({ 
+                    content: `✅ Updated **${updated.name}**: ${getRarity(updated).label}, weight ${updated.weight}, ${describePerk(updated)}, ${updated.enabled ? 'enabled' : 'disabled'}.`, 
+                    ephemeral: true 
                 });
             }
 
-            const row = new ActionRowBuilder()
-                .addComponents(
-                    new ButtonBuilder()
-                        .setCustomId(`CONFIRM_BUY_CRATE_${amount}`) 
-                        .setLabel(`Confirm Purchase for ${costBigInt.toLocaleString()} XP`)
-                        .setStyle(ButtonStyle.Success),
-                    new ButtonBuilder()
-                        .setCustomId('CANCEL_BUY_CRATE')
-                        .setLabel('Cancel')
-                        .setStyle(ButtonStyle.Secondary),
+            if (subcommand === 'remove') {
+                const { equipped } = db.prepare('SELECT COUNT(*) AS equipped FROM users WHERE guild_id = ? AND current_perk_id = ?').get(guildId, perk.id);
+                if (perk.obtained > 0 || equipped > 0) {
+                    return interaction.reply({ 
+                        content: `❌ **${perk.name}** has already been obtained, so it can't be deleted without losing its history. Disable it instead with \`/perkadmin edit enabled:False\`.`, 
+                        ephemeral: true 
+                    });
+                }
+                db.prepare('DELETE FROM perks WHERE id = ?').run(perk.id);
+                return interaction.reply({ content: `✅ Removed the perk **${perk.name}**.`, ephemeral: true });
+            }
+
+        // --- /LEVELREWARD (Rewards for reaching a level) ---
+        } else if (commandName === 'levelreward') {
+            const subcommand = interaction.options.getSubcommand();
+
+            if (subcommand === 'list') {
+                const curve = getLevelCurve(guildId);
+                const rewards = getLevelRewards(guildId);
+                const lines = rewards.map(reward => 
+                    `**Level ${reward.level}** (${getLevelThreshold(curve, reward.level).toLocaleString()} XP) — ${LEVEL_REWARD_TYPES[reward.reward_type].describe(reward.value)}`
                 );
+                const listEmbed = new EmbedBuilder()
+                    .setColor('#5865F2')
+                    .setTitle('⭐ Level Rewards')
+                    .setDescription(
+                        `**Level Curve:** ${curve.base.toLocaleString()} × level^${curve.exponent} total XP (change with \`/setup\`)\n\n` +
+                        (lines.length > 0 ? lines.join('\n') : 'No level rewards yet. Add one with `/levelreward add`.')
+                    );
+                return interaction.reply({ embeds: [listEmbed], ephemeral: true });
+            }
 
-            await interaction.reply({ 
-                content: `⚠️ **Confirmation Required:** Do you want to spend **${costBigInt.toLocaleString()} XP** to buy **${amount}** Perk Crate(s)?`,
-                components: [row],
-                ephemeral: true 
-            });
+            const level = interaction.options.getInteger('level');
+            const type = interaction.options.getString('type');
 
-        // --- /OPENCRATE (Open and Equip) ---
-        } else if (commandName === 'opencrate') {
-            if (userData.crates < 1) {
-                return interaction.reply({
-                    content: `❌ You don't have any unopened crates! Buy one using \`/buycrate\`.`,
-                    ephemeral: true
+            if (subcommand === 'add') {
+                let value;
+                if (type === 'role') {
+                    value = interaction.options.getRole('role')?.id;
+                    if (!value) return interaction.reply({ content: '❌ Role rewards need a `role`.', ephemeral: true });
+                } else {
+                    value = interaction.options.getInteger('amount');
+                    if (value === null) return interaction.reply({ content: '❌ Crate and XP rewards need an `amount`.', ephemeral: true });
+                    value = String(value);
+                }
+
+                db.prepare(`
+                    INSERT INTO level_rewards (guild_id, level, reward_type, value) VALUES (?, ?, ?, ?)
+                    ON CONFLICT (guild_id, level, reward_type) DO UPDATE SET value = excluded.value
+                `).run(guildId, level, type, value);
+
+                return interaction.reply({ 
+                    content: `✅ Members reaching **Level ${level}** now get ${LEVEL_REWARD_TYPES[type].describe(value)}. Members already past that level don't get it.`, 
+                    ephemeral: true 
                 });
             }
 
-            const { name: newPerkName } = getRandomPerk();
+            if (subcommand === 'remove') {
+                const result = db.prepare('DELETE FROM level_rewards WHERE guild_id = ? AND level = ? AND reward_type = ?').run(guildId, level, type);
+                return interaction.reply({ 
+                    content: result.changes > 0 
+                        ? `✅ Removed the ${LEVEL_REWARD_TYPES[type].label.toLowerCase()} reward of **Level ${level}**.` 
+                        : `ℹ️ **Level ${level}** has no ${LEVEL_REWARD_TYPES[type].label.toLowerCase()} reward.`, 
+                    ephemeral: true 
+                });
+            }
 
-            const isFirstTime = !userData.current_perk; 
+        // --- /HALLOFFAME & /SEASONREWARDS (Weekly and monthly boards) ---
+        } else if (commandName === 'halloffame') {
+            const periodOption = interaction.options.getString('period');
+            const types = periodOption ? [periodOption] : Object.keys(PERIOD_TYPES);
+            const placeIcons = ['🥇', '🥈', '🥉'];
 
-            const encodedPerkName = newPerkName.replace(/[^a-zA-Z0-9]/g, '_'); 
-            
-            const equipButton = new ButtonBuilder()
-                .setCustomId(`EQUIP_PERK_${encodedPerkName}`)
-                .setLabel(`Equip ${newPerkName}`)
-                .setStyle(ButtonStyle.Success);
+            const fameEmbed = new EmbedBuilder()
+                .setColor('#FFD700')
+                .setTitle('🏛️ Hall of Fame');
 
-            const keepButton = new ButtonBuilder()
-                .setCustomId('KEEP_OLD_PERK')
-                .setLabel(isFirstTime ? 'Skip Perk' : 'Keep Old Perk') // Dynamic label
-                .setStyle(ButtonStyle.Secondary);
+            for (const type of types) {
+                const periods = db.prepare(`
+                    SELECT DISTINCT period_key FROM hall_of_fame WHERE guild_id = ? AND period_type = ? ORDER BY period_key DESC LIMIT 5
+                `).all(guildId, type);
+                const lines = periods.map(({ period_key }) => {
+                    const podium = db.prepare(`
+                        SELECT user_id, xp FROM hall_of_fame WHERE guild_id = ? AND period_type = ? AND period_key = ? AND position <= 3 ORDER BY position
+                    `).all(guildId, type, period_key);
+                    return `**${PERIOD_TYPES[type].describe(period_key)}:** ` +
+                        podium.map((row, index) => `${placeIcons[index]} <@${row.user_id}> (${BigInt(row.xp).toLocaleString()} XP)`).join(' · ');
+                });
+                fameEmbed.addFields({ 
+                    name: `${PERIOD_TYPES[type].label} Winners`, 
+                    value: lines.length > 0 ? lines.join('\n') : '*No finished periods yet.*' 
+                });
+            }
 
-            const row = new ActionRowBuilder().addComponents(equipButton, keepButton);
-            
-            addCrates(userId, -1);
-            
-            const equipEmbed = new EmbedBuilder()
-                .setColor('#FFD700')
-                .setTitle(`✨ Crate Opened! You received: ${newPerkName}`)
-                .setDescription(
-                    `You have opened one crate. You have **${userData.crates - 1}** remaining. \n\n` +
-                    `Your current equipped perk is: **${userData.current_perk || 'None'}**.\n\n` +
-                    (isFirstTime 
-                        ? `**INFO:** Since you have no active perk, choosing "Skip Perk" will just keep you perk-less.`
-                        : `**WARNING:** Equipping this new perk will **unequip** your current one, and remove any associated role/boost.`)
-                )
-                .setFooter({ text: `Choose wisely! The perk will be equipped immediately upon confirmation.` });
+            await interaction.reply({ embeds: [fameEmbed] });
 
-            await interaction.reply({ embeds: [equipEmbed], components: [row], ephemeral: true });
+        } else if (commandName === 'seasonrewards') {
+            const crates = interaction.options.getInteger('crates');
+            const places = interaction.options.getInteger('places');
+            const winnerRole = interaction.options.getRole('winner_role');
+            const removeWinnerRole = interaction.options.getBoolean('remove_winner_role');
 
+            const values = {};
+            if (crates !== null) values.season_reward_crates = crates;
+            if (places !== null) values.season_reward_places = places;
+            if (winnerRole) values.season_winner_role_id = winnerRole.id;
+            if (removeWinnerRole) values.season_winner_role_id = null;
+            let changedKeys;
+            try {
+                changedKeys = setGuildConfig(interaction.guild, values);
+            } catch (error) {
+                return interaction.reply({ content: `❌ ${error.message}`, ephemeral: true });
+            }
 
-        // --- /GIVEXP (Anyone can use, 2 min cooldown) ---
-        } else if (commandName === 'givexp') {
-            const giver = interaction.user;
-            const recipient = interaction.options.getUser('user');
-            const amount = interaction.options.getInteger('amount');
-            
-            // Re-check the maximum amount just in case the user bypassed Discord's input field limit
-            if (amount > MAX_GIVE_XP_AMOUNT) {
-                 return interaction.reply({ content: `❌ The maximum XP you can give at once is **${MAX_GIVE_XP_AMOUNT.toLocaleString()}**.`, ephemeral: true });
+            const rewardCrates = Number(getGuildSetting(guildId, 'season_reward_crates'));
+            const winnerRoleId = getGuildSetting(guildId, 'season_winner_role_id');
+            const seasonEmbed = new EmbedBuilder()
+                .setColor('#5865F2')
+                .setTitle('🏁 Season Rewards')
+                .setDescription(
+                    `Weekly boards end every Monday and monthly boards on the 1st, at 00:00 UTC.\n\n` +
+                    `**Crates:** ${rewardCrates > 0 ? `${rewardCrates} for each of the top ${getGuildSetting(guildId, 'season_reward_places')}` : '*Off*'}\n` +
+                    `**Winner Role:** ${winnerRoleId ? `<@&${winnerRoleId}>` : '*Off*'}`
+                );
+            await interaction.reply({ embeds: [seasonEmbed], ephemeral: true });
+            await applyConfigChanges(client, guildId, changedKeys);
+
+        // --- /DAILYREWARDS (Daily reward settings) ---
+        } else if (commandName === 'dailyrewards') {
+            const options = { daily_xp: 'xp', daily_streak_bonus: 'streak_bonus', daily_streak_cap: 'streak_cap', daily_crate_every: 'crate_every' };
+            const values = {};
+            for (const [key, optionName] of Object.entries(options)) {
+                const value = interaction.options.getInteger(optionName);
+                if (value !== null) values[key] = value;
+            }
+            const grace = interaction.options.getBoolean('grace');
+            if (grace !== null) values.daily_grace = grace ? 'on' : 'off';
+            let changedKeys;
+            try {
+                changedKeys = setGuildConfig(interaction.guild, values);
+            } catch (error) {
+                return interaction.reply({ content: `❌ ${error.message}`, ephemeral: true });
             }
 
-            // Rate Limit Check
-            const lastUsed = cooldowns.get(userId);
-            if (lastUsed) {
-                const timeSinceLastUse = Date.now() - lastUsed;
-                const timeLeft = GIVE_XP_COOLDOWN_MS - timeSinceLastUse;
+            const daily = getDailySettings(guildId);
+            const dailyEmbed = new EmbedBuilder()
+                .setColor('#5865F2')
+                .setTitle('🎁 Daily Rewards')
+                .setDescription(
+                    `Days start at midnight in **${getGuildTimeZone(guildId)}** (change with \`/setup timezone\`).\n\n` +
+                    `**XP:** ${daily.baseXP.toLocaleString()} + ${daily.streakBonus.toLocaleString()} per streak day, ` +
+                    `up to ${(daily.baseXP + daily.streakBonus * daily.streakCap).toLocaleString()} from day ${daily.streakCap + 1}. ` +
+                    'It counts on the all-time, weekly and monthly boards; XP boosts don\'t apply to it.\n' +
+                    `**Crates:** ${daily.crateEvery > 0 ? `1 every ${daily.crateEvery} streak day(s)` : '*Off*'}\n` +
+                    `**Grace Day:** ${daily.grace ? 'Each streak survives one missed day' : '*Off*'}`
+                );
+            await interaction.reply({ embeds: [dailyEmbed], ephemeral: true });
+            await applyConfigChanges(client, guildId, changedKeys);
 
-                if (timeLeft > 0) {
-                    const minutes = Math.floor(timeLeft / 60000);
-                    const seconds = Math.floor((timeLeft % 60000) / 1000);
-                    
-                    return interaction.reply({ 
-                        content: `⏳ You are on cooldown! Wait **${minutes}m ${seconds}s** before giving XP again.`, 
-                        ephemeral: true 
-                    });
+        // --- /XPFILTER (Anti-spam settings and report) ---
+        } else if (commandName === 'xpfilter') {
+            const subcommand = interaction.options.getSubcommand();
+
+            if (subcommand === 'settings') {
+                const cooldownSeconds = interaction.options.getInteger('cooldown_seconds');
+                const minLength = interaction.options.getInteger('min_length');
+                const duplicateHistory = interaction.options.getInteger('duplicate_history');
+
+                const values = {};
+                if (cooldownSeconds !== null) values.xp_cooldown_ms = `${cooldownSeconds}s`;
+                if (minLength !== null) values.xp_min_length = minLength;
+                if (duplicateHistory !== null) values.xp_duplicate_history = duplicateHistory;
+                let changedKeys;
+                try {
+                    changedKeys = setGuildConfig(interaction.guild, values);
+                } catch (error) {
+                    return interaction.reply({ content: `❌ ${error.message}`, ephemeral: true });
                 }
+
+                const ignoredChannelIds = getGuildListSetting(guildId, 'xp_ignored_channel_ids');
+                const duplicateSetting = Number(getGuildSetting(guildId, 'xp_duplicate_history'));
+                const filterEmbed = new EmbedBuilder()
+                    .setColor('#5865F2')
+                    .setTitle('🛡️ Message XP Filters')
+                    .setDescription(
+                        `**Cooldown:** ${Number(getGuildSetting(guildId, 'xp_cooldown_ms')) / 1000} second(s)\n` +
+                        `**Minimum Length:** ${getGuildSetting(guildId, 'xp_min_length')} character(s)\n` +
+                        `**Duplicate Check:** ${duplicateSetting > 0 ? `last ${duplicateSetting} message(s)` : 'off'}\n` +
+                        `**Ignored Channels:** ${ignoredChannelIds.length > 0 ? ignoredChannelIds.map(id => `<#${id}>`).join(', ') : '*None*'}`
+                    );
+                await interaction.reply({ embeds: [filterEmbed], ephemeral: true });
+                return applyConfigChanges(client, guildId, changedKeys);
             }
-            
-            if (amount <= 0) {
-                 return interaction.reply({ content: '❌ You must give a positive amount of XP.', ephemeral: true });
+
+            if (subcommand === 'ignore') {
+                const channel = interaction.options.getChannel('channel');
+                const ignoredChannelIds = getGuildListSetting(guildId, 'xp_ignored_channel_ids');
+                const isIgnored = ignoredChannelIds.includes(channel.id);
+
+                setGuildListSetting(guildId, 'xp_ignored_channel_ids', isIgnored
+                    ? ignoredChannelIds.filter(id => id !== channel.id)
+                    : [...ignoredChannelIds, channel.id]);
+
+                return interaction.reply({ 
+                    content: isIgnored ? `✅ Messages in ${channel} earn XP again.` : `✅ Messages in ${channel} no longer earn XP.`, 
+                    ephemeral: true 
+                });
             }
-            
-            // --- NEW: Confirmation Step before execution and cooldown ---
-            const amountBigInt = BigInt(amount);
-            
-            const row = new ActionRowBuilder()
-                .addComponents(
-                    // Pass recipient ID and amount in customId for button handler
-                    new ButtonBuilder()
-                        .setCustomId(`CONFIRM_GIVEXP_${recipient.id}_${amount}`) 
-                        .setLabel(`Confirm Give ${amountBigInt.toLocaleString()} XP`)
-                        .setStyle(ButtonStyle.Danger),
-                    new ButtonBuilder()
-                        .setCustomId('CANCEL_GIVEXP')
-                        .setLabel('Cancel')
-                        .setStyle(ButtonStyle.Secondary),
-                );
 
-            await interaction.reply({
-                content: `⚠️ **Confirmation Required:** Are you sure you want to give **${amountBigInt.toLocaleString()} XP** to ${recipient}? This will start your 2-minute cooldown.`,
-                components: [row],
-                ephemeral: true
+            const report = getFilterReport(guildId, 10);
+            const lines = report.map((entry, i) => {
+                const breakdown = Object.entries(entry.breakdown)
+                    .map(([reason, hits]) => `${XP_FILTER_REASONS[reason] || reason}: ${hits.toLocaleString()}`)
+                    .join(', ');
+                return `**${i + 1}.** <@${entry.user_id}> — ${entry.total.toLocaleString()} (${breakdown})`;
             });
+            const reportEmbed = new EmbedBuilder()
+                .setColor('#ED4245')
+                .setTitle('🚨 XP Filter Report')
+                .setDescription(lines.length > 0 ? lines.join('\n') : 'Nobody has triggered the XP filters yet.');
+            await interaction.reply({ embeds: [reportEmbed], ephemeral: true });
 
+        // --- /MODROLES (Who counts as a moderator) ---
+        } else if (commandName === 'modroles') {
+            const subcommand = interaction.options.getSubcommand();
+            const modRoleIds = getModRoleIds(guildId);
 
-        // --- /MYINFO (Show status) ---
-        } else if (commandName === 'myinfo') {
-            const xp = userData.xp; // This is a BigInt now
-            const xpNeeded = BigInt(CRATE_COST) - (xp % BigInt(CRATE_COST));
-            
-            const myInfoEmbed = new EmbedBuilder()
-                .setColor('#57F287')
-                .setTitle(`👤 ${interaction.user.username}'s Status`)
-                .setDescription(
-                    `**Current XP:** ${xp.toLocaleString()} XP\n` +
-                    `**Unopened Crates:** ${userData.crates.toLocaleString()} 📦\n` +
-                    `**Equipped Perk:** ${userData.current_perk || 'None'} 💎`
-                )
-                .addFields({ 
-                    name: 'Next Crate Progress', 
-                    value: `You need **${xpNeeded.toLocaleString()} XP** to buy your next crate.`,
-                    inline: true
-                })
-                .setFooter({ text: `Perk Crate Cost: ${CRATE_COST} XP | Use /opencrate to open.` });
-
-            await interaction.reply({ embeds: [myInfoEmbed], ephemeral: true });
-            
-        // --- /LEADERBOARD & /PERKBOARD ---
-        } else if (commandName === 'leaderboard') {
-            await interaction.deferReply({ ephemeral: true });
-            await autoSendLeaderboards(client);
-            await interaction.editReply({ 
-                content: `✅ The **XP Leaderboard** has been manually triggered to update in <#${LEADERBOARD_CHANNEL_ID}>!`
-            });
-        } else if (commandName === 'perkboard') {
-            await interaction.deferReply(); 
-            const topPerks = db.prepare('SELECT name, obtained FROM perks ORDER BY obtained DESC LIMIT 10').all();
-            if (topPerks.length === 0) return interaction.editReply('No perks have been obtained yet!');
-            const perkAttachment = createPerkLeaderboardImage(topPerks);
-            await interaction.editReply({ 
-                content: `💎 **Perk Board (Most Obtained Perks)** 💎`,
-                files: [perkAttachment]
-            });
-        
-        // --- /RESETALLBOARDS (Admin/Mod Command with Confirmation) ---
-        } else if (commandName === 'resetallboards') {
-            const resetRow = new ActionRowBuilder()
-                .addComponents(
-                    new ButtonBuilder()
-                        .setCustomId('CONFIRM_RESET_ALL')
-                        .setLabel('CONFIRM: Reset All Data')
-                        .setStyle(ButtonStyle.Danger),
-                    new ButtonBuilder()
-                        .setCustomId('CANCEL_RESET_ALL')
-                        .setLabel('Cancel')
-                        .setStyle(ButtonStyle.Secondary),
-                );
+            if (subcommand === 'add') {
+                const role = interaction.options.getRole('role');
+                if (!modRoleIds.includes(role.id)) setModRoleIds(guildId, [...modRoleIds, role.id]);
+                return interaction.reply({ 
+                    content: `✅ ${role} can now use moderator commands. ` +
+                        `If they can't see them, allow the role under **Server Settings → Integrations**.`, 
+                    ephemeral: true 
+                });
+            }
 
-            await interaction.reply({
-                content: '🛑 **DANGER ZONE: ARE YOU SURE?** This action will permanently delete ALL user XP data and reset ALL perk counts. This is irreversible.',
-                components: [resetRow],
-                ephemeral: true
+            if (subcommand === 'remove') {
+                const role = interaction.options.getRole('role');
+                setModRoleIds(guildId, modRoleIds.filter(roleId => roleId !== role.id));
+                return interaction.reply({ content: `✅ ${role} is no longer a moderator role.`, ephemeral: true });
+            }
+
+            await interaction.reply({ 
+                content: `🛡️ **Moderator roles:** ${modRoleIds.length > 0 ? modRoleIds.map(roleId => `<@&${roleId}>`).join(', ') : '*None*'}\n` +
+                    `Members with the **Manage Server** permission are always moderators.`, 
+                ephemeral: true 
             });
         }
     } 
+
+    // --- Autocomplete Handler ---
+    else if (interaction.isAutocomplete()) {
+        const focused = interaction.options.getFocused(true);
+
+        if (['perk', 'give_perk', 'ask_perk'].includes(focused.name)) {
+            const query = focused.value.toLowerCase();
+            // Members pick from what they own, moderators (and traders asking for a perk) from the whole catalog
+            const ownedOnly = ['equip', 'market'].includes(interaction.commandName) || focused.name === 'give_perk';
+            const perks = ownedOnly
+                ? getInventory(interaction.guildId, interaction.user.id)
+                : getPerkCatalog(interaction.guildId);
+            const choices = perks
+                .filter(perk => perk.name.toLowerCase().includes(query))
+                .slice(0, 25)
+                .map(perk => ({ name: perk.name, value: String(perk.id) }));
+            await interaction.respond(choices);
+        } else if (focused.name === 'key') {
+            const query = focused.value.toLowerCase();
+            const choices = Object.keys(CONFIG_KEYS)
+                .filter(configKey => configKey.includes(query))
+                .slice(0, 25)
+                .map(configKey => ({ name: configKey, value: configKey }));
+            await interaction.respond(choices);
+        } else if (focused.name === 'backup') {
+            const choices = listBackups(interaction.guildId)
+                .filter(backup => backup.id.includes(focused.value))
+                .slice(0, 25)
+                .map(backup => ({ name: backup.id, value: backup.id }));
+            await interaction.respond(choices);
+        }
+    }
     
     // --- Button Interaction Handler ---
     else if (interaction.isButton()) {
         await interaction.deferUpdate(); 
-        const customId = interaction.customId;
+        const { customId, guildId } = interaction;
         const userId = interaction.user.id;
         const member = interaction.member;
 
+        // --- TRANSACTION HISTORY PAGING (no pending action needed) ---
+        if (customId.startsWith('TX_PAGE_')) {
+            const parts = customId.split('_');
+            const targetUser = await client.users.fetch(parts[2]).catch(() => null);
+            if (!targetUser) {
+                return interaction.editReply({ content: '❌ Error: Could not find that user.', embeds: [], components: [] });
+            }
+            return interaction.editReply(buildTransactionsReply(guildId, targetUser, Math.max(0, parseInt(parts[3]))));
+        }
+
+        // --- LEADERBOARD PAGING: LB_PAGE_<sort>_<page> and LB_ME_<sort> ---
+        if (customId.startsWith('LB_')) {
+            const [, kind, sort, page] = customId.split('_');
+            if (!LEADERBOARD_SORTS[sort]) return;
+
+            if (kind === 'ME') {
+                const myPage = getLeaderboardPageOf(guildId, sort, userId);
+                if (myPage === null) {
+                    return interaction.followUp({ content: 'ℹ️ You are not on the leaderboard yet. Send some messages first!', ephemeral: true });
+                }
+                return interaction.editReply(await buildLeaderboardReply(client, guildId, sort, myPage));
+            }
+            return interaction.editReply(await buildLeaderboardReply(client, guildId, sort, parseInt(page)));
+        }
+
+        // Every other button completes a pending action: ACTION_<token>_<choice>
+        if (!customId.startsWith('ACTION_')) return;
+        const [, token, choice] = customId.split('_');
+        const result = consumePendingAction(token, guildId, userId);
+
+        if (result.status === 'not_owner') {
+            return interaction.followUp({ content: '❌ These buttons belong to someone else.', ephemeral: true });
+        }
+        if (result.status !== 'ok') {
+            return interaction.editReply({ 
+                content: '⌛ This confirmation has expired or was already used. Please run the command again.', 
+                embeds: [], 
+                components: [] 
+            });
+        }
+
+        const { type: actionType, payload } = result.action;
+
+        if (MOD_ACTIONS.has(actionType) && !isModerator(interaction)) {
+            logDeniedAttempt(interaction, actionType);
+            return interaction.editReply({ content: '⛔ You do not have permission to do this.', components: [] });
+        }
+
         // --- 1. CONFIRM BUY CRATE (Handles Bulk Buy) ---
-        if (customId.startsWith('CONFIRM_BUY_CRATE_')) {
-            const amount = parseInt(customId.split('_')[3]); 
-            const cost = amount * CRATE_COST;
-            const costBigInt = BigInt(cost);
-            const userData = getUserData(userId);
-            
-            if (userData.xp < costBigInt) {
+        if (actionType === 'buy_crate' && choice === 'CONFIRM') {
+            const { amount } = payload; 
+            const costBigInt = BigInt(payload.cost);
+
+            // The balance is checked again inside the transaction, as it may have changed since /buycrate
+            if (!purchaseCrates(guildId, userId, amount, costBigInt)) {
                  return interaction.editReply({ content: '❌ Transaction failed: You no longer have enough XP!', components: [] });
             }
-
-            // The negative amount will correctly subtract XP via the BigInt logic in addXP
-            addXP(userId, -cost); 
-            addCrates(userId, amount); 
             
-            const newUserData = getUserData(userId);
+            const newUserData = getUserData(guildId, userId);
 
             await interaction.editReply({ 
                 content: `✅ Purchase Complete! You spent **${costBigInt.toLocaleString()} XP** and received **${amount}** Crate(s). 
@@ -713,14 +5478,12 @@ client.on('interactionCreate', async (interaction) => {
                 components: [] 
             });
             
-        } else if (customId === 'CANCEL_BUY_CRATE') {
+        } else if (actionType === 'buy_crate') {
              await interaction.editReply({ content: '✅ Purchase cancelled.', components: [] });
              
         // --- 2. CONFIRM GIVE XP / CANCEL GIVE XP ---
-        } else if (customId.startsWith('CONFIRM_GIVEXP_')) {
-            const parts = customId.split('_');
-            const recipientId = parts[2];
-            const amount = parseInt(parts[3]);
+        } else if (actionType === 'give_xp' && choice === 'CONFIRM') {
+            const { recipientId, amount } = payload;
             
             const recipient = await client.users.fetch(recipientId).catch(() => null);
 
@@ -729,70 +5492,201 @@ client.on('interactionCreate', async (interaction) => {
             }
 
             // Final check on cooldown before transaction (good for preventing double-spends)
-            const lastUsed = cooldowns.get(userId);
-            if (lastUsed && (Date.now() - lastUsed) < GIVE_XP_COOLDOWN_MS) {
+            const cooldownKey = `${guildId}:${userId}`;
+            const lastUsed = cooldowns.get(cooldownKey);
+            if (lastUsed && (Date.now() - lastUsed) < getGuildConfig(guildId, 'give_xp_cooldown_ms')) {
                  return interaction.editReply({ content: '❌ Transaction failed: You are still on cooldown!', components: [] });
             }
 
-            // Ensures the recipient user is initialized in the database if they are brand new.
-            getUserData(recipient.id); 
-            
             // Execute transaction and set cooldown
-            addXP(recipient.id, amount);
-            cooldowns.set(userId, Date.now()); 
+            const amountBigInt = BigInt(amount);
+            if (!transferXP(guildId, userId, recipient.id, amountBigInt)) {
+                return interaction.editReply({ content: '❌ Transaction failed: You no longer have enough XP!', components: [] });
+            }
+            cooldowns.set(cooldownKey, Date.now()); 
 
             await interaction.editReply({
-                content: `🎉 **Success!** You gave **${BigInt(amount).toLocaleString()} XP** to ${recipient.username}. They now have **${getUserXP(recipient.id).toLocaleString()} XP**.`,
+                content: `🎉 **Success!** You gave **${amountBigInt.toLocaleString()} XP** to ${recipient.username}. ` +
+                    `They now have **${getUserXP(guildId, recipient.id).toLocaleString()} XP** and you have **${getUserXP(guildId, userId).toLocaleString()} XP** left.`,
                 components: []
             });
         
-        } else if (customId === 'CANCEL_GIVEXP') {
+        } else if (actionType === 'give_xp') {
             await interaction.editReply({ content: '✅ XP transfer cancelled.', components: [] });
+
+        // --- 3. TRADE OFFERS: SEND / ACCEPT / DECLINE / WITHDRAW ---
+        } else if (actionType === 'trade_offer' && choice === 'CONFIRM') {
+            const { recipientId, offered, requested } = payload;
+            const missing = findMissingTradeItems(guildId, userId, offered);
+            if (missing) {
+                return interaction.editReply({ content: `❌ You no longer have ${missing}.`, components: [] });
+            }
+
+            const now = Date.now();
+            const { lastInsertRowid } = db.prepare(`
+                INSERT INTO trades (guild_id, from_id, to_id, offered, requested, status, created_at, expires_at)
+                VALUES (?, ?, ?, ?, ?, 'pending', ?, ?)
+            `).run(guildId, userId, recipientId, JSON.stringify(offered), JSON.stringify(requested), now, now + TRADE_OFFER_TTL_MS);
+            const tradeId = Number(lastInsertRowid);
+
+            // Each side gets its own token, so only the recipient can answer and only the offerer can withdraw
+            const answerToken = createPendingAction(guildId, recipientId, 'trade', { tradeId }, TRADE_OFFER_TTL_MS);
+            const withdrawToken = createPendingAction(guildId, userId, 'trade', { tradeId }, TRADE_OFFER_TTL_MS);
+            const row = new ActionRowBuilder()
+                .addComponents(
+                    new ButtonBuilder()
+                        .setCustomId(actionButtonId(answerToken, 'ACCEPT'))
+                        .setLabel('Accept')
+                        .setStyle(ButtonStyle.Success),
+                    new ButtonBuilder()
+                        .setCustomId(actionButtonId(answerToken, 'DECLINE'))
+                        .setLabel('Decline')
+                        .setStyle(ButtonStyle.Danger),
+                    new ButtonBuilder()
+                        .setCustomId(actionButtonId(withdrawToken, 'WITHDRAW'))
+                        .setLabel('Withdraw')
+                        .setStyle(ButtonStyle.Secondary),
+                );
+
+            await interaction.editReply({ content: `✅ Trade offer \`#${tradeId}\` sent to <@${recipientId}>.`, components: [] });
+            await interaction.followUp({ 
+                content: `🤝 <@${recipientId}>, <@${userId}> wants to trade with you!`,
+                embeds: [buildTradeEmbed(getTrade(guildId, tradeId))],
+                components: [row],
+                allowedMentions: { users: [recipientId] },
+            });
+
+        } else if (actionType === 'trade_offer') {
+            await interaction.editReply({ content: '✅ Trade offer cancelled.', components: [] });
+
+        } else if (actionType === 'trade') {
+            const { tradeId } = payload;
+            let notice = null;
+            if (choice === 'ACCEPT') {
+                const result = acceptTrade(guildId, tradeId);
+                if (result.status === 'failed') notice = `⚠️ The trade could not be completed: ${result.reason}.`;
+                else if (result.status !== 'accepted') notice = '⌛ This trade was already closed.';
+            } else if (!closeTrade(guildId, tradeId, choice === 'DECLINE' ? 'declined' : 'withdrawn')) {
+                notice = '⌛ This trade was already closed.';
+            }
+
+            // The trade is closed either way, so the buttons of both sides go
+            const trade = getTrade(guildId, tradeId);
+            await interaction.editReply({ 
+                content: notice || `🤝 Trade \`#${tradeId}\` between <@${trade.from_id}> and <@${trade.to_id}>`,
+                embeds: [buildTradeEmbed(trade)], 
+                components: [],
+                allowedMentions: { parse: [] },
+            });
+
+        // --- 4. CONFIRM/CANCEL MARKET PURCHASE ---
+        } else if (actionType === 'market_buy' && choice === 'CONFIRM') {
+            const { listingId } = payload;
+            const result = buyListing(guildId, listingId, userId);
+            const listing = getListing(guildId, listingId);
+            const messages = {
+                sold: `✅ You bought ${describeTradeItems(guildId, listing.items)} for **${BigInt(listing.price).toLocaleString()} XP**!`,
+                gone: `❌ Listing \`#${listingId}\` isn't on the market anymore.`,
+                own: '❌ That is your own listing.',
+                no_xp: '❌ Purchase failed: You no longer have enough XP!',
+            };
+            await interaction.editReply({ content: messages[result], components: [] });
+
+        } else if (actionType === 'market_buy') {
+            await interaction.editReply({ content: '✅ Purchase cancelled.', components: [] });
              
-        // --- 3. EQUIP PERK / KEEP OLD PERK / SKIP PERK ---
-        } else if (customId.startsWith('EQUIP_PERK_')) {
-            const newPerkNameEncoded = customId.replace('EQUIP_PERK_', '');
-            const newPerkName = Object.keys(PERKS).find(key => key.replace(/[^a-zA-Z0-9]/g, '_') === newPerkNameEncoded);
+        // --- 5. EQUIP PERK / KEEP OLD PERK / SKIP PERK ---
+        } else if (actionType === 'open_crate' && choice.startsWith('EQUIP')) {
+            // A bulk open names the chosen perk in the button, e.g. EQUIP-12
+            const perkId = choice === 'EQUIP' ? payload.perkId : Number(choice.slice('EQUIP-'.length));
+            const rolledIds = payload.perkIds || [payload.perkId];
+            const newPerk = rolledIds.includes(perkId) ? getPerk(guildId, perkId) : null;
             
-            if (!newPerkName) {
+            if (!newPerk) {
                 return interaction.editReply({ content: '❌ Error: Could not identify perk. Please try opening a new crate.', components: [] });
             }
 
-            await equipNewPerk(member, newPerkName);
+            if (!await equipNewPerk(member, newPerk.id)) {
+                return interaction.editReply({ content: `❌ **${newPerk.name}** is no longer in your inventory.`, components: [] });
+            }
 
+            const { perk_expires_at } = getUserData(guildId, userId);
             await interaction.editReply({ 
-                content: `✨ **Perk Equipped!** You are now using: **${newPerkName}**. 
-                \nYour previous perk (and any associated role/boost) has been removed.`,
+                content: `✨ **Perk Equipped!** You are now using: **${newPerk.name}**${formatPerkExpiry(perk_expires_at)}. 
+                \nYour previous perk has been unequipped (any associated role/boost was removed).`,
                 components: []
             });
 
-        } else if (customId === 'KEEP_OLD_PERK') {
+        } else if (actionType === 'open_crate') {
             await interaction.editReply({ 
-                content: `✅ Okay! You kept your current equipped perk/skipped equipping the new one. The opened crate has been consumed.`, 
+                content: `✅ Okay! You kept your current equipped perk. ${payload.perkIds ? 'The new perks are' : 'The new perk is'} waiting in your \`/inventory\`.`, 
                 components: [] 
             });
 
-        // --- 4. CONFIRM/CANCEL RESET ALL BOARDS ---
-        } else if (customId === 'CONFIRM_RESET_ALL') {
+        // --- 6. CONFIRM/CANCEL RESET ALL BOARDS ---
+        } else if (actionType === 'reset_all' && choice === 'CONFIRM') {
+            const { scope = 'all', targetId = null } = payload;
+            let backupId;
+            try {
+                backupId = await createBackup('before-reset', guildId);
+            } catch (error) {
+                console.error('Backup before reset failed:', error);
+                return interaction.editReply({ content: '❌ The backup before the reset failed, so nothing was reset.', components: [] });
+            }
+
             try {
-                // Deleting all user data effectively resets the XP
-                db.exec('DELETE FROM users');
-                db.exec('UPDATE perks SET obtained = 0');
+                // Members lose their perk roles with their equipped perks
+                const clearedPerks = getPerksClearedByReset(guildId, scope, targetId);
+                resetGuildData(guildId, scope, targetId);
+                await syncPerkRoles(interaction.guild, clearedPerks);
                 
                 await interaction.editReply({ 
-                    content: '✅ **SUCCESS:** All user XP and crate data has been wiped, and the Perk Board has been reset.', 
+                    content: `✅ **SUCCESS:** Reset ${RESET_SCOPES[scope].describe(targetId ? `<@${targetId}>` : null)}. ` +
+                        `Backup \`${backupId}\` has the data from before.`, 
                     components: [] 
                 });
-                await autoSendLeaderboards(client);
+                await sendGuildLeaderboard(client, guildId);
             } catch (error) {
-                console.error("Error during full reset:", error);
+                console.error("Error during reset:", error);
                 await interaction.editReply({ 
                     content: '❌ An error occurred during the database reset.', 
                     components: [] 
                 });
             }
-        } else if (customId === 'CANCEL_RESET_ALL') {
+        } else if (actionType === 'reset_all') {
              await interaction.editReply({ content: '✅ Reset cancelled. Data is safe.', components: [] });
+
+        // --- 7. CONFIRM/CANCEL RESTORE BACKUP ---
+        } else if (actionType === 'restore_backup' && choice === 'CONFIRM') {
+            const backup = listBackups(guildId).find(candidate => candidate.id === payload.backupId);
+            if (!backup) {
+                return interaction.editReply({ content: '❌ That backup no longer exists.', components: [] });
+            }
+
+            let backupId;
+            try {
+                backupId = await createBackup('before-restore', guildId);
+            } catch (error) {
+                console.error('Backup before restore failed:', error);
+                return interaction.editReply({ content: '❌ The backup of the current data failed, so nothing was restored.', components: [] });
+            }
+
+            try {
+                const { changed, perkChanges } = restoreGuildFromBackup(guildId, backup.file);
+                // Members get the roles of the perks they had equipped at the time of the backup
+                await syncPerkRoles(interaction.guild, perkChanges);
+                await interaction.editReply({ 
+                    content: `✅ Restored this server from \`${backup.id}\`. ${changed} member(s) had their balance changed. ` +
+                        `To undo this, restore \`${backupId}\`.`, 
+                    components: [] 
+                });
+                await sendGuildLeaderboard(client, guildId);
+            } catch (error) {
+                console.error('Error during restore:', error);
+                await interaction.editReply({ content: `❌ The restore failed: ${error.message}`, components: [] });
+            }
+        } else if (actionType === 'restore_backup') {
+             await interaction.editReply({ content: '✅ Restore cancelled.', components: [] });
         }
     }
 });
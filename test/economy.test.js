@@ -0,0 +1,190 @@
+// test/economy.test.js
+// The economy helpers called twice for the same thing (a double-clicked confirm, two trades
+// offering the same XP), on an in-memory database. Each call is a transaction of its own.
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Database = require('better-sqlite3');
+const { createTables } = require('../database');
+const { createEconomy } = require('../economy');
+
+const GUILD_ID = 'guild';
+
+let db;
+let economy;
+
+beforeEach(() => {
+    db = new Database(':memory:');
+    createTables(db);
+    economy = createEconomy(db, { getPitySettings: () => ({ threshold: 0, minRarity: 'rare' }) });
+});
+
+function giveXP(userId, amount) {
+    economy.getUserData(GUILD_ID, userId);
+    economy.addXP(GUILD_ID, userId, BigInt(amount));
+}
+
+function giveCrates(userId, amount) {
+    economy.getUserData(GUILD_ID, userId);
+    economy.addCrates(GUILD_ID, userId, amount);
+}
+
+function addPerk({ name = 'Gold XP Boost', durationMs = null } = {}) {
+    const { lastInsertRowid } = db.prepare(`
+        INSERT INTO perks (guild_id, name, weight, effect_type, effect_value, duration_ms, rarity) VALUES (?, ?, 1, 'xp_boost', 0.1, ?, 'rare')
+    `).run(GUILD_ID, name, durationMs);
+    return Number(lastInsertRowid);
+}
+
+function offerTrade(fromId, toId, offered, requested) {
+    const empty = { xp: '0', crates: 0, perkId: null };
+    const now = Date.now();
+    const { lastInsertRowid } = db.prepare(`
+        INSERT INTO trades (guild_id, from_id, to_id, offered, requested, status, created_at, expires_at)
+        VALUES (?, ?, ?, ?, ?, 'pending', ?, ?)
+    `).run(GUILD_ID, fromId, toId, JSON.stringify({ ...empty, ...offered }), JSON.stringify({ ...empty, ...requested }), now, now + 600000);
+    return Number(lastInsertRowid);
+}
+
+function fakeMember(userId) {
+    return {
+        id: userId,
+        guild: { id: GUILD_ID },
+        roles: { cache: new Map(), add: async () => {}, remove: async () => {} },
+    };
+}
+
+function countLedger(userId, type) {
+    return db.prepare('SELECT COUNT(*) AS count FROM transactions WHERE guild_id = ? AND user_id = ? AND type = ?').get(GUILD_ID, userId, type).count;
+}
+
+describe('purchaseCrates', () => {
+    it('spends the XP only once when a purchase is confirmed twice', () => {
+        giveXP('buyer', 10000);
+
+        assert.equal(economy.purchaseCrates(GUILD_ID, 'buyer', 1, 10000n), true);
+        assert.equal(economy.purchaseCrates(GUILD_ID, 'buyer', 1, 10000n), false);
+
+        const buyer = economy.getUserData(GUILD_ID, 'buyer');
+        assert.equal(buyer.xp, 0n);
+        assert.equal(buyer.crates, 1);
+        assert.equal(countLedger('buyer', 'crate_purchase'), 1);
+    });
+});
+
+describe('openCrates', () => {
+    it('opens the same crate only once when opened twice', () => {
+        const perkId = addPerk();
+        giveCrates('opener', 1);
+
+        assert.equal(economy.openCrates(GUILD_ID, 'opener', 1).perks.length, 1);
+        const second = economy.openCrates(GUILD_ID, 'opener', 1);
+        assert.equal(second.perks.length, 0);
+        assert.equal(second.reason, 'no_crates');
+
+        assert.equal(economy.getUserData(GUILD_ID, 'opener').crates, 0);
+        assert.equal(economy.getPerk(GUILD_ID, perkId).obtained, 1);
+        assert.deepEqual(economy.getInventory(GUILD_ID, 'opener').map(perk => perk.quantity), [1]);
+        assert.equal(countLedger('opener', 'crate_open'), 1);
+    });
+
+    it('counts no perk as obtained when there are fewer crates than requested', () => {
+        const perkId = addPerk();
+        giveCrates('opener', 1);
+
+        assert.equal(economy.openCrates(GUILD_ID, 'opener', 2).reason, 'no_crates');
+        assert.equal(economy.getPerk(GUILD_ID, perkId).obtained, 0);
+        assert.equal(economy.getUserData(GUILD_ID, 'opener').crates, 1);
+    });
+});
+
+describe('equipNewPerk', () => {
+    it('uses up a copy of a time-limited perk only once when equipped twice', async () => {
+        const perkId = addPerk({ durationMs: 3600000 });
+        economy.addToInventory(GUILD_ID, 'member', perkId);
+        const member = fakeMember('member');
+
+        assert.equal(await economy.equipNewPerk(member, perkId), true);
+        assert.equal(await economy.equipNewPerk(member, perkId), false);
+
+        assert.equal(economy.getUserData(GUILD_ID, 'member').current_perk_id, perkId);
+        assert.equal(economy.ownsPerk(GUILD_ID, 'member', perkId), false);
+    });
+});
+
+describe('transferXP', () => {
+    it('never sends more XP than the sender has', () => {
+        giveXP('sender', 500);
+
+        assert.equal(economy.transferXP(GUILD_ID, 'sender', 'first', 500n), true);
+        assert.equal(economy.transferXP(GUILD_ID, 'sender', 'second', 500n), false);
+
+        assert.equal(economy.getUserXP(GUILD_ID, 'sender'), 0n);
+        assert.equal(economy.getUserXP(GUILD_ID, 'first'), 500n);
+        assert.equal(economy.getUserXP(GUILD_ID, 'second'), 0n);
+    });
+});
+
+describe('acceptTrade', () => {
+    it('fails the second of two pending trades that offer the same XP', () => {
+        giveXP('offerer', 500);
+        const firstTradeId = offerTrade('offerer', 'first', { xp: '500' }, {});
+        const secondTradeId = offerTrade('offerer', 'second', { xp: '500' }, {});
+
+        assert.equal(economy.acceptTrade(GUILD_ID, firstTradeId).status, 'accepted');
+        assert.equal(economy.acceptTrade(GUILD_ID, secondTradeId).status, 'failed');
+
+        assert.equal(economy.getUserXP(GUILD_ID, 'offerer'), 0n);
+        assert.equal(economy.getUserXP(GUILD_ID, 'first'), 500n);
+        assert.equal(economy.getUserXP(GUILD_ID, 'second'), 0n);
+    });
+
+    it('carries out a trade accepted twice only once', () => {
+        giveXP('offerer', 500);
+        giveCrates('recipient', 2);
+        const tradeId = offerTrade('offerer', 'recipient', { xp: '200' }, { crates: 2 });
+
+        economy.acceptTrade(GUILD_ID, tradeId);
+        economy.acceptTrade(GUILD_ID, tradeId);
+
+        assert.equal(economy.getUserXP(GUILD_ID, 'offerer'), 300n);
+        assert.equal(economy.getUserXP(GUILD_ID, 'recipient'), 200n);
+        assert.equal(economy.getUserData(GUILD_ID, 'offerer').crates, 2);
+        assert.equal(economy.getUserData(GUILD_ID, 'recipient').crates, 0);
+        assert.equal(countLedger('offerer', 'trade'), 1);
+    });
+});
+
+describe('buyListing', () => {
+    it('sells a listing to only the first of two buyers', () => {
+        giveCrates('seller', 3);
+        giveXP('first', 1000);
+        giveXP('second', 1000);
+        const { listingId } = economy.createListing(GUILD_ID, 'seller', { xp: '0', crates: 3, perkId: null }, 1000n, 3600000);
+
+        assert.equal(economy.buyListing(GUILD_ID, listingId, 'first'), 'sold');
+        assert.equal(economy.buyListing(GUILD_ID, listingId, 'second'), 'gone');
+
+        assert.equal(economy.getUserXP(GUILD_ID, 'seller'), 1000n);
+        assert.equal(economy.getUserXP(GUILD_ID, 'first'), 0n);
+        assert.equal(economy.getUserXP(GUILD_ID, 'second'), 1000n);
+        assert.equal(economy.getUserData(GUILD_ID, 'first').crates, 3);
+        assert.equal(economy.getUserData(GUILD_ID, 'second').crates, 0);
+    });
+
+    it('never lets one buyer spend the same XP on two listings', () => {
+        const perkId = addPerk();
+        economy.addToInventory(GUILD_ID, 'seller', perkId, 2);
+        giveXP('buyer', 1000);
+        const items = { xp: '0', crates: 0, perkId };
+        const { listingId: firstListingId } = economy.createListing(GUILD_ID, 'seller', items, 1000n, 3600000);
+        const { listingId: secondListingId } = economy.createListing(GUILD_ID, 'seller', items, 1000n, 3600000);
+
+        assert.equal(economy.buyListing(GUILD_ID, firstListingId, 'buyer'), 'sold');
+        assert.equal(economy.buyListing(GUILD_ID, secondListingId, 'buyer'), 'no_xp');
+
+        assert.equal(economy.getUserXP(GUILD_ID, 'buyer'), 0n);
+        assert.deepEqual(economy.getInventory(GUILD_ID, 'buyer').map(perk => perk.quantity), [1]);
+        assert.equal(economy.getListing(GUILD_ID, secondListingId).status, 'active');
+    });
+});